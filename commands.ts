@@ -0,0 +1,273 @@
+import {
+  Completer,
+  CompletionCandidate,
+  CompletionContext,
+  CompletionItem,
+  quoteWord,
+  toCompletionItem,
+} from "./completion.js";
+import {formatTable} from "./helpers.js";
+import {tokenize} from "./tokenizer.js";
+
+/**
+ * A positional argument, or the value taken by a flag
+ */
+export interface ArgumentSpec {
+  /** Name shown in the usage, such as "env" */
+  name: string;
+  /** Description shown in the help */
+  description?: string;
+  /** Whether the argument can be left out */
+  optional?: boolean;
+  /** Whether the argument takes all the remaining words */
+  variadic?: boolean;
+  /** Allowed values, completed when typing the argument */
+  values?: CompletionCandidate[];
+  /** Completer for the argument, used after the values */
+  completer?: Completer;
+}
+
+/**
+ * A flag, such as `--region <r>` or `-n, --dry-run`
+ */
+export interface FlagSpec {
+  /** Long name, used as `--name` */
+  name: string;
+  /** Single letter alias, used as `-s` */
+  short?: string;
+  /** Description shown in the listing and the help */
+  description?: string;
+  /** Value taken by the flag, as `--name value` or `--name=value` */
+  value?: ArgumentSpec;
+  /** Whether the flag can be used several times */
+  multiple?: boolean;
+}
+
+/**
+ * A command with its subcommands, flags and positional arguments
+ */
+export interface CommandSpec {
+  /** Name typed to run the command */
+  name: string;
+  /** Other names of the command */
+  aliases?: string[];
+  /** Description shown in the listing and the help */
+  description?: string;
+  /** Subcommands, typed after the command name */
+  subcommands?: CommandSpec[];
+  /** Flags of the command, also accepted by its subcommands */
+  flags?: FlagSpec[];
+  /** Positional arguments, in order */
+  args?: ArgumentSpec[];
+}
+
+/**
+ * Where the words typed before the cursor lead in a command tree
+ */
+interface CommandPosition {
+  /** Commands named so far, outermost first */
+  path: CommandSpec[];
+  /** Subcommands that can be typed next */
+  subcommands: CommandSpec[];
+  /** Flags available to the last command, including those of its parents */
+  flags: FlagSpec[];
+  /** Flags already used */
+  used: Set<FlagSpec>;
+  /** Flag waiting for its value */
+  pending?: FlagSpec;
+  /** Number of positional arguments typed for the last command */
+  position: number;
+}
+
+/**
+ * Create a completer for commands described by a command tree.
+ * It completes subcommands, flags that were not used yet, flag values and positional arguments.
+ * @param commands - The top-level commands
+ * @returns The completer
+ */
+export function commandCompleter(commands: CommandSpec[]): Completer {
+  return async (context: CompletionContext): Promise<CompletionItem[]> => {
+    const word = context.argv[context.wordIndex];
+    const {path, subcommands, flags, used, pending, position} = locateCommand(
+      commands,
+      context.argv.slice(0, context.wordIndex),
+    );
+    const command = path.at(-1);
+
+    if (pending) {
+      return completeArgument(pending.value!, context);
+    }
+
+    const valueFlag = /^--([^=]+)=/.exec(word);
+    if (valueFlag) {
+      // --name=value completes the value of the flag
+      const flag = flags.find(({name}) => name === valueFlag[1]);
+      if (!flag?.value) {
+        return [];
+      }
+      const argv = [...context.argv];
+      argv[context.wordIndex] = word.slice(valueFlag[0].length);
+      const typed = context.word.slice(valueFlag[0].length);
+      const values = await completeArgument(flag.value, {...context, word: typed, argv});
+      return values.map((item) => ({...item, value: valueFlag[0] + item.value}));
+    }
+
+    const flagItems = flags
+      .filter((flag) => flag.multiple || !used.has(flag))
+      .flatMap((flag) => [
+        {value: `--${flag.name}`, description: flag.description, group: "flags", type: "flag"},
+        ...(flag.short && word.startsWith("-") && !word.startsWith("--")
+          ? [{value: `-${flag.short}`, description: flag.description, group: "flags", type: "flag"}]
+          : []),
+      ]);
+    if (word.startsWith("-")) {
+      return flagItems.filter(({value}) => value.startsWith(word));
+    }
+
+    const items: CompletionItem[] = [];
+    if (position === 0) {
+      for (const subcommand of subcommands) {
+        items.push({value: subcommand.name, description: subcommand.description, group: "commands", type: "command"});
+      }
+    }
+    const argument = command?.args && argumentAt(command.args, position);
+    if (argument) {
+      items.push(...(await completeArgument(argument, context)));
+    }
+    // Quoted values start with the word as typed rather than unquoted
+    const matches = items.filter(({value}) => value.startsWith(word) || value.startsWith(context.word));
+    // Flags are offered when nothing else can be typed
+    return matches.length > 0 || argument ? matches : flagItems.filter(({value}) => value.startsWith(word));
+  };
+}
+
+/**
+ * Format the help of a command tree: the top-level commands, or the usage of the command named in a line
+ * @param commands - The top-level commands
+ * @param line - Words naming a command, such as "deploy" or "db migrate"
+ * @returns The help listing
+ */
+export function commandHelp(commands: CommandSpec[], line: string = ""): string {
+  const {path, flags} = locateCommand(commands, tokenize(line).map(({value}) => value));
+  const command = path.at(-1);
+  if (!command) {
+    return formatTable(commands.map((spec) => ({label: spec.name, description: spec.description})));
+  }
+
+  const usage = [
+    ...path.map(({name}) => name),
+    ...(command.subcommands?.length ? ["<command>"] : []),
+    ...(command.args ?? []).map(formatArgument),
+    ...flags.map((flag) => `[${formatFlag(flag)}]`),
+  ].join(" ");
+  const sections = [`Usage: ${usage}`];
+  if (command.description) {
+    sections.push(command.description);
+  }
+  if (command.subcommands?.length) {
+    sections.push("Commands:\n" + formatTable(
+      command.subcommands.map((spec) => ({label: `  ${spec.name}`, description: spec.description})),
+    ));
+  }
+  const args = (command.args ?? []).filter(({description}) => description);
+  if (args.length > 0) {
+    sections.push("Arguments:\n" + formatTable(
+      args.map((arg) => ({label: `  ${arg.name}`, description: arg.description})),
+    ));
+  }
+  if (flags.length > 0) {
+    sections.push("Flags:\n" + formatTable(
+      flags.map((flag) => ({label: `  ${formatFlag(flag)}`, description: flag.description})),
+    ));
+  }
+  return sections.join("\n\n");
+}
+
+/**
+ * Follow words through a command tree
+ * @param commands - The top-level commands
+ * @param words - The words typed before the cursor, unquoted
+ * @returns Where the words lead
+ */
+function locateCommand(commands: CommandSpec[], words: string[]): CommandPosition {
+  const located: CommandPosition = {path: [], subcommands: commands, flags: [], used: new Set(), position: 0};
+  let flagsEnded = false;
+  for (const word of words) {
+    if (located.pending) {
+      located.pending = undefined;
+    } else if (word === "--" && located.path.length > 0) {
+      flagsEnded = true;
+    } else if (word.startsWith("-") && word.length > 1 && !flagsEnded) {
+      const [name, value] = word.replace(/^--?/, "").split(/=(.*)/s);
+      const flag = located.flags.find((spec) => (word.startsWith("--") ? spec.name : spec.short) === name);
+      if (flag) {
+        located.used.add(flag);
+        located.pending = flag.value && value === undefined ? flag : undefined;
+      }
+    } else {
+      const subcommand = located.position === 0
+        ? located.subcommands.find(({name, aliases}) => name === word || aliases?.includes(word))
+        : undefined;
+      if (subcommand) {
+        located.path.push(subcommand);
+        located.subcommands = subcommand.subcommands ?? [];
+        located.flags = [...located.flags, ...(subcommand.flags ?? [])];
+      } else {
+        located.position++;
+      }
+    }
+  }
+  return located;
+}
+
+/**
+ * Find the argument specification at a position, the last variadic argument takes the remaining positions
+ * @param args - The positional arguments
+ * @param position - Index of the argument
+ * @returns The argument, or undefined if the command takes no more arguments
+ */
+function argumentAt(args: ArgumentSpec[], position: number): ArgumentSpec | undefined {
+  const last = args.at(-1);
+  return args[position] ?? (last?.variadic ? last : undefined);
+}
+
+/**
+ * Complete an argument from its values and its completer. Values are quoted the way the user started typing the word,
+ * results of the completer are inserted as returned
+ * @param argument - The argument
+ * @param context - The completion context
+ * @returns The completion candidates
+ */
+async function completeArgument(argument: ArgumentSpec, context: CompletionContext): Promise<CompletionItem[]> {
+  const quote = context.word[0] === "\"" || context.word[0] === "'" ? context.word[0] : "";
+  const values = (argument.values ?? [])
+    .map(toCompletionItem)
+    .filter(({value}) => value.startsWith(context.argv[context.wordIndex]))
+    .map((item) => {
+      // The listing shows values as they are, without their quotes
+      const value = quoteWord(item.value, quote, true);
+      return value === item.value ? item : {...item, value, display: item.display ?? item.value};
+    });
+  const completed = argument.completer ? (await argument.completer(context)) ?? [] : [];
+  return [...values, ...completed.map(toCompletionItem)];
+}
+
+/**
+ * Format an argument for the usage line
+ * @param argument - The argument
+ * @returns The argument as `<name>`, `[name]` or with `...` when variadic
+ */
+function formatArgument(argument: ArgumentSpec): string {
+  const name = argument.name + (argument.variadic ? "..." : "");
+  return argument.optional ? `[${name}]` : `<${name}>`;
+}
+
+/**
+ * Format a flag with its alias and value
+ * @param flag - The flag
+ * @returns The flag as `-s, --name <value>`
+ */
+function formatFlag(flag: FlagSpec): string {
+  const names = (flag.short ? `-${flag.short}, ` : "") + `--${flag.name}`;
+  return flag.value ? `${names} <${flag.value.name}>` : names;
+}
@@ -0,0 +1,264 @@
+import {tokenAt, tokenize} from "./tokenizer.js";
+
+/**
+ * Information about the word being completed, passed to completers
+ */
+export interface CompletionContext {
+  /** The full line being edited */
+  line: string;
+  /** Position of the cursor in the line */
+  cursor: number;
+  /** Start of the word under the cursor */
+  wordStart: number;
+  /** End of the word under the cursor */
+  wordEnd: number;
+  /** The word under the cursor, as typed */
+  word: string;
+  /** The words of the line with quotes and escapes removed, including an empty word when the cursor is in whitespace */
+  argv: string[];
+  /** Index in argv of the word under the cursor */
+  wordIndex: number;
+  /** Aborted when the line changes before a live completion finishes */
+  signal?: AbortSignal;
+}
+
+/**
+ * A completion candidate with information shown in the listing
+ */
+export interface CompletionItem {
+  /** Text inserted in the line */
+  value: string;
+  /** Text shown in the listing instead of the value */
+  display?: string;
+  /** Description shown in a second column of the listing */
+  description?: string;
+  /** Heading the candidate is listed under, such as "commands" or "files" */
+  group?: string;
+  /** Kind of candidate, such as "command" or "file" */
+  type?: string;
+  /** Positions of the characters of the value matched by the matcher, set by the prompt */
+  matched?: number[];
+}
+
+/**
+ * A completion candidate: the text to insert, or an item describing it
+ */
+export type CompletionCandidate = string | CompletionItem;
+
+/**
+ * Completer returning replacements for the word under the cursor
+ */
+export type Completer = (context: CompletionContext) => Promise<CompletionCandidate[]> | CompletionCandidate[];
+
+/**
+ * Result of matching typed text against a candidate
+ */
+export interface MatchResult {
+  /** Higher scores are listed first */
+  score: number;
+  /** Positions of the matched characters in the candidate */
+  positions?: number[];
+}
+
+/**
+ * Match typed text against a candidate value
+ * @returns The match result, or null if the candidate does not match
+ */
+export type Matcher = (query: string, candidate: string) => MatchResult | null | undefined;
+
+/**
+ * Built-in matching strategies
+ */
+export const matchers: Record<"prefix" | "substring" | "fuzzy", Matcher> = {
+  prefix: (query, candidate) =>
+    candidate.startsWith(query) ? {score: 0, positions: range(0, query.length)} : null,
+  substring: (query, candidate) => {
+    const index = candidate.indexOf(query);
+    return index >= 0 ? {score: -index, positions: range(index, index + query.length)} : null;
+  },
+  fuzzy: fuzzyMatch,
+};
+
+/**
+ * Result of a completion: the candidates and the range of the line they replace
+ */
+export interface CompletionResult {
+  matches: CompletionItem[];
+  start: number;
+  end: number;
+}
+
+/**
+ * Convert a completion candidate to an item
+ * @param candidate - The candidate returned by a completer
+ * @returns The completion item
+ */
+export function toCompletionItem(candidate: unknown): CompletionItem {
+  if (typeof candidate === "object" && candidate !== null && "value" in candidate) {
+    const item = candidate as CompletionItem;
+    return {...item, value: String(item.value)};
+  }
+  return {value: String(candidate)};
+}
+
+/**
+ * Find the word under the cursor. Whitespace inside quotes or escaped with a backslash is part of the word.
+ * @param line - The line being edited
+ * @param cursor - Position of the cursor in the line
+ * @returns The completion context for the word under the cursor
+ */
+export function getCompletionContext(line: string, cursor: number = line.length): CompletionContext {
+  cursor = Math.max(0, Math.min(cursor, line.length));
+  const tokens = tokenize(line);
+  const {index, token} = tokenAt(tokens, cursor);
+  const argv = tokens.map(({value}) => value);
+  if (token.start === token.end) {
+    // The cursor is in whitespace, so the word being completed is a new empty one
+    argv.splice(index, 0, "");
+  }
+  return {
+    line,
+    cursor,
+    wordStart: token.start,
+    wordEnd: token.end,
+    word: line.slice(token.start, token.end),
+    argv,
+    wordIndex: index,
+  };
+}
+
+/**
+ * Replace a range of the line with a completion
+ * @param line - The line being edited
+ * @param start - Start of the replaced range
+ * @param end - End of the replaced range
+ * @param replacement - The inserted text
+ * @returns The new line and the cursor position after the inserted text
+ */
+export function applyCompletion(
+  line: string,
+  start: number,
+  end: number,
+  replacement: string,
+): {line: string; cursor: number} {
+  return {
+    line: line.slice(0, start) + replacement + line.slice(end),
+    cursor: start + replacement.length,
+  };
+}
+
+/**
+ * Quote a completion the way the user started typing the word
+ * @param text - The text to quote
+ * @param quote - The opening quote, empty to escape special characters with backslashes instead
+ * @param close - Whether to close the quote, so directories can be completed further
+ * @returns The quoted text
+ */
+export function quoteWord(text: string, quote: string, close: boolean): string {
+  if (quote === "'") {
+    return `'${text}${close ? "'" : ""}`;
+  }
+  if (quote) {
+    return `"${text.replace(/["\\$`]/g, "\\$&")}${close ? "\"" : ""}`;
+  }
+  return text.replace(/[\s"'\\$`!&|;<>()*?#]/g, "\\$&");
+}
+
+/**
+ * Find the longest prefix shared by all candidates
+ * @param candidates - The completion candidates
+ * @returns The longest common prefix, empty if there are no candidates
+ */
+export function longestCommonPrefix(candidates: string[]): string {
+  if (candidates.length === 0) {
+    return "";
+  }
+  let prefix = candidates[0];
+  for (const candidate of candidates.slice(1)) {
+    let i = 0;
+    while (i < prefix.length && i < candidate.length && prefix[i] === candidate[i]) {
+      i++;
+    }
+    prefix = prefix.slice(0, i);
+  }
+  return prefix;
+}
+
+/**
+ * Match candidates against typed text and rank them, best first
+ * @param items - The completion candidates
+ * @param query - The text being completed
+ * @param matcher - The matching strategy
+ * @returns The matching candidates with their matched positions, candidates with equal scores keep their order
+ */
+export function matchCandidates(items: CompletionItem[], query: string, matcher: Matcher): CompletionItem[] {
+  return items
+    .map((item) => ({item, result: matcher(query, item.value)}))
+    .filter((match): match is {item: CompletionItem; result: MatchResult} => Boolean(match.result))
+    .sort((a, b) => b.result.score - a.result.score)
+    .map(({item, result}) => ({...item, matched: result.positions}));
+}
+
+/**
+ * Match the characters of a query in order anywhere in a candidate, ignoring case.
+ * Matches at the start of words and consecutive matches score higher, gaps score lower.
+ * @param query - The text being completed
+ * @param candidate - The candidate value
+ * @returns The best match, or null if the candidate does not contain the characters in order
+ */
+function fuzzyMatch(query: string, candidate: string): MatchResult | null {
+  const q = query.toLowerCase();
+  const c = candidate.toLowerCase();
+  if (!q) {
+    return {score: 0, positions: []};
+  }
+  // best[i][j]: best score matching q[0..i] with q[i] at c[j], from[i][j]: position of q[i - 1]
+  const best: number[][] = [];
+  const from: number[][] = [];
+  for (let i = 0; i < q.length; i++) {
+    best.push(new Array(c.length).fill(-Infinity));
+    from.push(new Array(c.length).fill(-1));
+    for (let j = i; j < c.length; j++) {
+      if (c[j] !== q[i]) {
+        continue;
+      }
+      const charScore = j === 0 || /[\s\-_./:]/.test(c[j - 1]) ? 10 : 1;
+      if (i === 0) {
+        best[i][j] = charScore - j * 0.01;
+        continue;
+      }
+      for (let k = i - 1; k < j; k++) {
+        const score = best[i - 1][k] + charScore + (k === j - 1 ? 5 : -(j - k - 1) * 0.01);
+        if (score > best[i][j]) {
+          best[i][j] = score;
+          from[i][j] = k;
+        }
+      }
+    }
+  }
+  const last = q.length - 1;
+  let end = -1;
+  for (let j = 0; j < c.length; j++) {
+    if (best[last][j] > -Infinity && (end < 0 || best[last][j] > best[last][end])) {
+      end = j;
+    }
+  }
+  if (end < 0) {
+    return null;
+  }
+  const positions = [end];
+  for (let i = last; i > 0; i--) {
+    positions.unshift(from[i][positions[0]]);
+  }
+  return {score: best[last][end], positions};
+}
+
+/**
+ * List the integers of a range
+ * @param start - First integer, inclusive
+ * @param end - Last integer, exclusive
+ * @returns The integers from start to end
+ */
+function range(start: number, end: number): number[] {
+  return Array.from({length: end - start}, (_, i) => start + i);
+}
@@ -0,0 +1,253 @@
+import {spawn} from "node:child_process";
+import {tmpdir} from "node:os";
+import {resolve as pathResolve} from "node:path";
+import process from "node:process";
+import fsExtra from "fs-extra";
+
+/**
+ * Lines being edited with the position of the cursor
+ */
+export interface TextBuffer {
+  lines: string[];
+  /** Line the cursor is on */
+  row: number;
+  /** Position of the cursor in its line */
+  col: number;
+}
+
+/**
+ * Insert text at the cursor, newlines in the text start new lines
+ * @param buffer - The buffer to edit
+ * @param text - The text to insert
+ * @returns The edited buffer, with the cursor after the inserted text
+ */
+export function insertText(buffer: TextBuffer, text: string): TextBuffer {
+  const {lines, row, col} = buffer;
+  const line = lines[row];
+  const inserted = (line.slice(0, col) + text).split(/\r\n|\r|\n/);
+  const last = inserted.length - 1;
+  const cursor = inserted[last].length;
+  inserted[last] += line.slice(col);
+  return {
+    lines: [...lines.slice(0, row), ...inserted, ...lines.slice(row + 1)],
+    row: row + last,
+    col: cursor,
+  };
+}
+
+/**
+ * Split the line at the cursor, moving the text after the cursor to a new line
+ * @param buffer - The buffer to edit
+ * @returns The edited buffer, with the cursor at the start of the new line
+ */
+export function splitLine(buffer: TextBuffer): TextBuffer {
+  return insertText(buffer, "\n");
+}
+
+/**
+ * Delete the character before the cursor, joining the line to the previous one at the start of a line
+ * @param buffer - The buffer to edit
+ * @returns The edited buffer
+ */
+export function deleteBackward(buffer: TextBuffer): TextBuffer {
+  const {lines, row, col} = buffer;
+  if (col > 0) {
+    const line = lines[row];
+    return {lines: replaceLines(lines, row, 1, line.slice(0, col - 1) + line.slice(col)), row, col: col - 1};
+  }
+  if (row === 0) {
+    return buffer;
+  }
+  const previous = lines[row - 1];
+  return {lines: replaceLines(lines, row - 1, 2, previous + lines[row]), row: row - 1, col: previous.length};
+}
+
+/**
+ * Delete the character after the cursor, joining the next line at the end of a line
+ * @param buffer - The buffer to edit
+ * @returns The edited buffer
+ */
+export function deleteForward(buffer: TextBuffer): TextBuffer {
+  const {lines, row, col} = buffer;
+  const line = lines[row];
+  if (col < line.length) {
+    return {lines: replaceLines(lines, row, 1, line.slice(0, col) + line.slice(col + 1)), row, col};
+  }
+  if (row === lines.length - 1) {
+    return buffer;
+  }
+  return {lines: replaceLines(lines, row, 2, line + lines[row + 1]), row, col};
+}
+
+/**
+ * Move the cursor one character left, to the end of the previous line at the start of a line
+ * @param buffer - The buffer
+ * @returns The buffer with the cursor moved
+ */
+export function moveLeft(buffer: TextBuffer): TextBuffer {
+  const {lines, row, col} = buffer;
+  if (col > 0) {
+    return {...buffer, col: col - 1};
+  }
+  return row > 0 ? {...buffer, row: row - 1, col: lines[row - 1].length} : buffer;
+}
+
+/**
+ * Move the cursor one character right, to the start of the next line at the end of a line
+ * @param buffer - The buffer
+ * @returns The buffer with the cursor moved
+ */
+export function moveRight(buffer: TextBuffer): TextBuffer {
+  const {lines, row, col} = buffer;
+  if (col < lines[row].length) {
+    return {...buffer, col: col + 1};
+  }
+  return row < lines.length - 1 ? {...buffer, row: row + 1, col: 0} : buffer;
+}
+
+/**
+ * Move the cursor to the line above or below, keeping its column when the line is long enough
+ * @param buffer - The buffer
+ * @param direction - -1 to move up, 1 to move down
+ * @returns The buffer with the cursor moved, unchanged on the first or last line
+ */
+export function moveVertically(buffer: TextBuffer, direction: -1 | 1): TextBuffer {
+  const {lines, row, col} = buffer;
+  const target = row + direction;
+  if (target < 0 || target >= lines.length) {
+    return buffer;
+  }
+  return {...buffer, row: target, col: Math.min(col, lines[target].length)};
+}
+
+/**
+ * Find where the word before or after a position of a line ends, skipping the punctuation and whitespace in between
+ * @param line - The line
+ * @param col - Position in the line
+ * @param direction - -1 for the start of the word before, 1 for the end of the word after
+ * @returns Position of the word boundary
+ */
+export function wordBoundary(line: string, col: number, direction: -1 | 1): number {
+  const isWordChar = (index: number) => /[\p{L}\p{N}_]/u.test(line[index] ?? "");
+  // Looking backwards, the character checked is the one before the position
+  const offset = direction < 0 ? -1 : 0;
+  let position = col;
+  const inRange = () => (direction < 0 ? position > 0 : position < line.length);
+  while (inRange() && !isWordChar(position + offset)) {
+    position += direction;
+  }
+  while (inRange() && isWordChar(position + offset)) {
+    position += direction;
+  }
+  return position;
+}
+
+/**
+ * Delete the text between the cursor and another position of its line
+ * @param buffer - The buffer to edit
+ * @param target - The other end of the deleted text, before or after the cursor
+ * @returns The edited buffer, with the cursor where the deleted text was
+ */
+export function deleteTo(buffer: TextBuffer, target: number): TextBuffer {
+  const {lines, row, col} = buffer;
+  const line = lines[row];
+  const [start, end] = [Math.max(Math.min(col, target), 0), Math.min(Math.max(col, target), line.length)];
+  return {lines: replaceLines(lines, row, 1, line.slice(0, start) + line.slice(end)), row, col: start};
+}
+
+/**
+ * Text deleted by kill commands, for yanking it back
+ */
+export class KillRing {
+  protected entries: string[] = [];
+  protected index = -1;
+
+  /**
+   * @param size - Number of killed texts kept
+   */
+  constructor(readonly size: number = 60) {}
+
+  /**
+   * Add killed text
+   * @param text - The killed text
+   * @param extend - Add the text after ("append") or before ("prepend") the most recent entry instead, when kills
+   *   follow each other
+   */
+  push(text: string, extend?: "append" | "prepend"): void {
+    if (!text) {
+      return;
+    }
+    const last = this.entries.length - 1;
+    if (extend && last >= 0) {
+      this.entries[last] = extend === "append" ? this.entries[last] + text : text + this.entries[last];
+    } else {
+      this.entries.push(text);
+      this.entries.splice(0, this.entries.length - this.size);
+    }
+    this.index = this.entries.length - 1;
+  }
+
+  /**
+   * The text to yank
+   * @returns The most recent entry, or the one rotated to
+   */
+  current(): string | undefined {
+    return this.entries[this.index];
+  }
+
+  /**
+   * Move to the entry before the current one, wrapping around to the most recent one
+   * @returns The new current entry
+   */
+  rotate(): string | undefined {
+    if (this.entries.length > 0) {
+      this.index = (this.index - 1 + this.entries.length) % this.entries.length;
+    }
+    return this.current();
+  }
+}
+
+/**
+ * The editor named by the environment: $VISUAL, then $EDITOR
+ * @returns The editor command
+ */
+export function defaultEditor(): string {
+  return process.env.VISUAL || process.env.EDITOR || (process.platform === "win32" ? "notepad" : "vi");
+}
+
+/**
+ * Edit text in an external editor, through a temporary file
+ * @param text - The text to edit
+ * @param command - The editor command, run by the shell with the path of the file appended
+ * @returns The edited text with newlines as \n, without the newline editors end files with
+ */
+export async function editExternally(text: string, command: string): Promise<string> {
+  const folder = await fsExtra.mkdtemp(pathResolve(tmpdir(), "command-prompt-"));
+  const file = pathResolve(folder, "input");
+  try {
+    await fsExtra.writeFile(file, `${text}\n`);
+    const code = await new Promise<number | null>((resolve, reject) => {
+      const child = spawn(`${command} "${file}"`, {shell: true, stdio: "inherit"});
+      child.on("error", reject);
+      child.on("exit", resolve);
+    });
+    if (code !== 0) {
+      throw new Error(`The editor exited with code ${code}`);
+    }
+    return (await fsExtra.readFile(file, "utf8")).replace(/\r\n/g, "\n").replace(/\n$/, "");
+  } finally {
+    await fsExtra.remove(folder);
+  }
+}
+
+/**
+ * Replace lines of a buffer
+ * @param lines - The lines
+ * @param start - Index of the first replaced line
+ * @param count - Number of replaced lines
+ * @param line - The line replacing them
+ * @returns The new lines
+ */
+function replaceLines(lines: string[], start: number, count: number, line: string): string[] {
+  return [...lines.slice(0, start), line, ...lines.slice(start + count)];
+}
@@ -1,4 +1,7 @@
 import process from "node:process";
+import chalk from "chalk";
+
+import {tokenize} from "./tokenizer.js";
 
 /**
  * Default ellipsis character
@@ -25,16 +28,16 @@ export function formatIndex(i: number, limit: number = 100): string {
 export function short(l: string, m: string[]): string[] {
   if (l) {
     l = l.replace(/ $/, "");
+    // Words before the one being typed are common to the suggestions, quoted or escaped spaces included
+    const wordStart = tokenize(l).at(-1)?.start ?? 0;
     for (let i = 0; i < m.length; i++) {
       if (m[i] === l) {
         m.splice(i, 1);
         i--;
-      } else {
-        if (m[i][l.length] === " ") {
-          m[i] = m[i].replace(RegExp(l + " "), "");
-        } else {
-          m[i] = m[i].replace(RegExp(l.replace(/ [^ ]+$/, "") + " "), "");
-        }
+      } else if (m[i].startsWith(l + " ")) {
+        m[i] = m[i].slice(l.length + 1);
+      } else if (wordStart > 0 && m[i].startsWith(l.slice(0, wordStart))) {
+        m[i] = m[i].slice(wordStart);
       }
     }
   }
@@ -47,16 +50,23 @@ export function short(l: string, m: string[]): string[] {
  * @param maxSize - Maximum size of each column
  * @param ellipsized - Whether to ellipsize long elements
  * @param ellipsis - Custom ellipsis character
+ * @param highlight - Style applied to the text of each element, by index
  * @returns Formatted string with elements in columns
  */
-export function formatList(elems: string[], maxSize: number = 32, ellipsized?: boolean, ellipsis?: string): string {
+export function formatList(
+  elems: string[],
+  maxSize: number = 32,
+  ellipsized?: boolean,
+  ellipsis?: string,
+  highlight?: (text: string, index: number) => string,
+): string {
   const cols = process.stdout.columns;
   const ratio = Math.floor((cols - 1) / maxSize);
   const remainder = (cols - 1) % maxSize;
   maxSize += Math.floor(remainder / ratio);
   let max = 0;
   for (const elem of elems) {
-    max = Math.max(max, elem.length + 4);
+    max = Math.max(max, decolorize(elem).length + 4);
   }
   if (ellipsized && max > maxSize) {
     max = maxSize;
@@ -64,8 +74,13 @@ export function formatList(elems: string[], maxSize: number = 32, ellipsized?: b
   const columns = (cols / max) | 0;
   let str = "";
   let c = 1;
-  for (const elem of elems) {
-    str += setSpaces(elem, max, ellipsized, ellipsis);
+  for (const [index, elem] of elems.entries()) {
+    let cell = setSpaces(elem, max, ellipsized, ellipsis);
+    if (highlight) {
+      const text = cell.trimEnd();
+      cell = highlight(text, index) + cell.slice(text.length);
+    }
+    str += cell;
     if (c === columns) {
       str += " ".repeat(cols - max * columns);
       c = 1;
@@ -76,6 +91,70 @@ export function formatList(elems: string[], maxSize: number = 32, ellipsized?: b
   return str;
 }
 
+/**
+ * Format elements with descriptions into two aligned columns, one element per line
+ * @param rows - Elements with their optional description
+ * @param maxSize - Maximum size of the first column
+ * @param ellipsized - Whether to ellipsize long elements and descriptions
+ * @param ellipsis - Custom ellipsis character
+ * @param highlight - Style applied to the text of each element, by index
+ * @returns Formatted string with elements in the first column and descriptions in the second
+ */
+export function formatTable(
+  rows: {label: string; description?: string}[],
+  maxSize: number = 32,
+  ellipsized?: boolean,
+  ellipsis?: string,
+  highlight?: (text: string, index: number) => string,
+): string {
+  const cols = process.stdout.columns;
+  let max = 0;
+  for (const {label} of rows) {
+    max = Math.max(max, decolorize(label).length + 2);
+  }
+  if (ellipsized && max > maxSize) {
+    max = maxSize;
+  }
+  return rows
+    .map(({label, description = ""}, index) => {
+      let cell = setSpaces(label, max, ellipsized, ellipsis);
+      if (highlight) {
+        const text = cell.trimEnd();
+        cell = highlight(text, index) + cell.slice(text.length);
+      }
+      if (ellipsized && cols > max + 1) {
+        description = ellipsize(description, cols - max - 1, ellipsis);
+      }
+      return description ? cell + chalk.grey(description) : cell.trimEnd();
+    })
+    .join("\n");
+}
+
+/**
+ * Style the characters of a string at given positions, consecutive characters are styled together
+ * @param str - The string to style
+ * @param positions - Positions of the characters to style
+ * @param style - Style applied to each run of characters
+ * @returns The styled string
+ */
+export function highlightChars(str: string, positions: number[], style: (text: string) => string): string {
+  const selected = new Set(positions);
+  let result = "";
+  let run = "";
+  for (let i = 0; i < str.length; i++) {
+    if (selected.has(i)) {
+      run += str[i];
+      continue;
+    }
+    if (run) {
+      result += style(run);
+      run = "";
+    }
+    result += str[i];
+  }
+  return result + (run ? style(run) : "");
+}
+
 /**
  * Add spaces to a string to make it a fixed length
  * @param str - The string to pad
@@ -0,0 +1,113 @@
+import chalk from "chalk";
+
+import {decolorize} from "./helpers.js";
+import {Token, tokenize} from "./tokenizer.js";
+
+/**
+ * Kind of a word of the input, used to pick its style
+ */
+export type HighlightTokenType = "command" | "unknown-command" | "flag" | "string" | "path" | "argument";
+
+/**
+ * A word of the input with its kind
+ */
+export interface HighlightToken extends Token {
+  type: HighlightTokenType;
+  /** The word as typed, with its quotes and escapes */
+  text: string;
+}
+
+/**
+ * Style applied to a range of the input
+ */
+export interface HighlightSpan {
+  /** Offset of the first styled character */
+  start: number;
+  /** Offset after the last styled character */
+  end: number;
+  /** Style of the range, it must not change the visible text */
+  style: (text: string) => string;
+}
+
+/**
+ * Highlight the input: return the styled ranges of the text from its words
+ */
+export type Highlighter = (tokens: HighlightToken[], text: string) => HighlightSpan[];
+
+/**
+ * Styles of the built-in highlighter, arguments are left as typed
+ */
+export const highlightStyles: Partial<Record<HighlightTokenType, (text: string) => string>> = {
+  "command": chalk.green,
+  "unknown-command": chalk.red,
+  "flag": chalk.cyan,
+  "string": chalk.yellow,
+  "path": chalk.underline,
+};
+
+/**
+ * Split the input into words and find their kind
+ * @param text - The input, lines separated by newlines
+ * @param isKnownCommand - Whether a command exists, undefined when it is not known yet
+ * @returns The words of the input
+ */
+export function classifyTokens(text: string, isKnownCommand?: (command: string) => boolean | undefined): HighlightToken[] {
+  return tokenize(text).map((token, index) => {
+    const raw = text.slice(token.start, token.end);
+    let type: HighlightTokenType = "argument";
+    if (index === 0) {
+      type = isKnownCommand?.(token.value) === false ? "unknown-command" : "command";
+    } else if (raw.startsWith("\"") || raw.startsWith("'")) {
+      type = "string";
+    } else if (raw.startsWith("-") && raw.length > 1) {
+      type = "flag";
+    } else if (/^(~|\.{1,2})(\/|$)/.test(token.value) || token.value.includes("/")) {
+      type = "path";
+    }
+    return {...token, type, text: raw};
+  });
+}
+
+/**
+ * The built-in highlighter: styles each word with the style of its kind
+ * @param tokens - The words of the input
+ * @returns The styled ranges
+ */
+export const defaultHighlighter: Highlighter = (tokens) =>
+  tokens.flatMap(({start, end, type}) => {
+    const style = highlightStyles[type];
+    return style ? [{start, end, style}] : [];
+  });
+
+/**
+ * Styles underlining the range of the input reported by a validator
+ */
+export const issueStyles: Record<"error" | "warning", (text: string) => string> = {
+  error: chalk.red.underline,
+  warning: chalk.yellow.underline,
+};
+
+/**
+ * Apply styled ranges to a text. Overlapping ranges combine their styles, the first range being the innermost.
+ * The text is returned unstyled when the styles change what is shown, since the cursor is placed from the visible text.
+ * @param text - The text
+ * @param spans - The styled ranges, in any order
+ * @returns The styled text
+ */
+export function applyHighlight(text: string, spans: HighlightSpan[]): string {
+  const bounds = [...new Set([0, text.length, ...spans.flatMap(({start, end}) => [start, end])])]
+    .filter((bound) => bound >= 0 && bound <= text.length)
+    .sort((a, b) => a - b);
+  let styled = "";
+  for (let i = 0; i + 1 < bounds.length; i++) {
+    const [start, end] = [bounds[i], bounds[i + 1]];
+    const styles = spans.filter((span) => span.start <= start && span.end >= end).map(({style}) => style);
+    // Styles are applied line by line so the text can be split into lines afterwards
+    styled += text
+      .slice(start, end)
+      .split("\n")
+      .map((line) => (line ? styles.reduce((result, style) => style(result), line) : line))
+      .join("\n");
+  }
+  return decolorize(styled) === text ? styled : text;
+}
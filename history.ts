@@ -0,0 +1,401 @@
+import {resolve as pathResolve} from "node:path";
+import fsExtra from "fs-extra";
+
+/**
+ * Default file name used by FileBackedHistory
+ */
+const DEFAULT_HISTORY_FILE: string = "inquirer-command-prompt-history.json";
+
+/**
+ * Context used when the prompt does not name one
+ */
+export const DEFAULT_CONTEXT: string = "default";
+
+/**
+ * Interface implemented by history handlers used by the command prompt.
+ * Every method takes an optional context naming a separate history bucket.
+ */
+export interface HistoryHandler {
+  /** Reset the navigation cursor to the end of the history */
+  init(context?: string): void;
+  /** Add a new entry to the history of a context, the context coming first as in v0.x */
+  add(context: string | undefined, value: string): void;
+  /** Move the cursor back and return the previous entry, or undefined at the start */
+  getPrevious(context?: string): string | undefined;
+  /** Move the cursor forward and return the next entry, or undefined at the end */
+  getNext(context?: string): string | undefined;
+  /** Return all history entries, oldest first */
+  getAll(context?: string): string[];
+  /** Remove the entry at a position, as listed by getAll */
+  remove?(index: number, context?: string): void;
+}
+
+/**
+ * Options controlling which entries are recorded and how many are kept
+ */
+export interface HistoryOptions {
+  /** Maximum number of entries to keep per context */
+  limit?: number;
+  /** Entries that are never recorded: exact strings or patterns */
+  blacklist?: (string | RegExp)[];
+  /** Do not record an entry identical to the previous one */
+  ignoreDuplicates?: boolean;
+  /** Do not record entries starting with a space */
+  ignoreSpace?: boolean;
+  /** Remove older identical entries when recording an entry */
+  eraseDuplicates?: boolean;
+}
+
+/**
+ * Configuration options for FileBackedHistory
+ */
+export interface FileBackedHistoryConfig extends HistoryOptions {
+  /** Folder where the history file is stored */
+  folder: string;
+  /** Name of the history file */
+  fileName?: string;
+  /** Whether to write the history to disk when it changes */
+  save?: boolean;
+}
+
+/**
+ * In-memory history that is lost when the process exits
+ */
+export class EphemeralHistory implements HistoryHandler {
+  readonly options: HistoryOptions;
+  protected histories: Record<string, string[]> = {};
+  protected indexes: Record<string, number> = {};
+
+  /**
+   * @param entries - Initial history entries of the default context, oldest first
+   * @param options - Filters and limits applied when recording entries
+   */
+  constructor(entries: string[] = [], options: HistoryOptions = {}) {
+    this.options = options;
+    this.histories[DEFAULT_CONTEXT] = [...entries];
+    this.applyLimit(DEFAULT_CONTEXT);
+    this.init();
+  }
+
+  init(context: string = DEFAULT_CONTEXT): void {
+    this.indexes[context] = this.entries(context).length;
+  }
+
+  /**
+   * Add a new entry to the history
+   * @param value - The entry, recorded in the default context
+   */
+  add(value: string): void;
+  /**
+   * Add a new entry to the history of a context
+   * @param context - The history context, the default one when undefined
+   * @param value - The entry
+   */
+  add(context: string | undefined, value: string): void;
+  add(first: string | undefined, second?: string): void {
+    const [context, value] = second === undefined ? [DEFAULT_CONTEXT, first!] : [first ?? DEFAULT_CONTEXT, second];
+    if (this.shouldRecord(value, context)) {
+      if (this.options.eraseDuplicates) {
+        this.histories[context] = this.entries(context).filter((entry) => entry !== value);
+      }
+      this.entries(context).push(value);
+      this.applyLimit(context);
+    }
+    this.init(context);
+  }
+
+  getPrevious(context: string = DEFAULT_CONTEXT): string | undefined {
+    const history = this.entries(context);
+    const index = this.indexes[context] ?? history.length;
+    if (index > 0 && history.length > 0) {
+      this.indexes[context] = index - 1;
+      return history[index - 1];
+    }
+    return undefined;
+  }
+
+  getNext(context: string = DEFAULT_CONTEXT): string | undefined {
+    const history = this.entries(context);
+    const index = this.indexes[context] ?? history.length;
+    if (index < history.length) {
+      this.indexes[context] = index + 1;
+      return history[index + 1] ?? "";
+    }
+    return undefined;
+  }
+
+  getAll(context: string = DEFAULT_CONTEXT): string[] {
+    return [...this.entries(context)];
+  }
+
+  remove(index: number, context: string = DEFAULT_CONTEXT): void {
+    const history = this.entries(context);
+    if (index >= 0 && index < history.length) {
+      history.splice(index, 1);
+      this.init(context);
+    }
+  }
+
+  /**
+   * Return the mutable entries of a context, creating the context if needed
+   * @param context - The history context
+   * @returns The entries of the context
+   */
+  protected entries(context: string): string[] {
+    return (this.histories[context] ??= []);
+  }
+
+  /**
+   * Check an entry against the blacklist and duplicate filters
+   * @param value - The entry to record
+   * @param context - The history context
+   * @returns Whether the entry should be recorded
+   */
+  protected shouldRecord(value: string, context: string): boolean {
+    const {blacklist = [], ignoreDuplicates, ignoreSpace} = this.options;
+    if (ignoreSpace && value.startsWith(" ")) {
+      return false;
+    }
+    if (ignoreDuplicates && this.entries(context).at(-1) === value) {
+      return false;
+    }
+    const command = value.trim();
+    return !blacklist.some((pattern) =>
+      typeof pattern === "string" ? pattern === command : pattern.test(command),
+    );
+  }
+
+  /**
+   * Drop the oldest entries of a context beyond the configured limit
+   * @param context - The history context
+   */
+  protected applyLimit(context: string): void {
+    const {limit} = this.options;
+    const history = this.entries(context);
+    if (limit !== undefined && limit >= 0 && history.length > limit) {
+      this.histories[context] = history.slice(history.length - limit);
+      this.indexes[context] = Math.min(this.indexes[context] ?? 0, limit);
+    }
+  }
+}
+
+/**
+ * History persisted as JSON in a file, so it survives restarts
+ */
+export class FileBackedHistory extends EphemeralHistory {
+  readonly config: FileBackedHistoryConfig;
+  readonly historyFile: string;
+
+  /**
+   * @param config - Location and persistence options for the history file
+   */
+  constructor(config: FileBackedHistoryConfig) {
+    super([], config);
+    this.config = config;
+    this.historyFile = pathResolve(config.folder, config.fileName ?? DEFAULT_HISTORY_FILE);
+    this.load();
+  }
+
+  add(value: string): void;
+  add(context: string | undefined, value: string): void;
+  add(first: string | undefined, second?: string): void {
+    if (second === undefined) {
+      super.add(first!);
+    } else {
+      super.add(first, second);
+    }
+    if (this.config.save) {
+      this.save();
+    }
+  }
+
+  remove(index: number, context: string = DEFAULT_CONTEXT): void {
+    super.remove(index, context);
+    if (this.config.save) {
+      this.save();
+    }
+  }
+
+  /**
+   * Load the history from the history file, if it exists.
+   * The default context is stored under `history`, named contexts under `contexts`.
+   */
+  load(): void {
+    if (!fsExtra.pathExistsSync(this.historyFile)) {
+      return;
+    }
+    let content: any;
+    try {
+      content = fsExtra.readJsonSync(this.historyFile);
+    } catch (err) {
+      // A corrupt history file should not prevent the prompt from starting
+      return;
+    }
+    this.histories = {[DEFAULT_CONTEXT]: toEntries(content?.history)};
+    for (const [context, entries] of Object.entries(content?.contexts ?? {})) {
+      this.histories[context] = toEntries(entries);
+    }
+    for (const context of Object.keys(this.histories)) {
+      this.applyLimit(context);
+      this.init(context);
+    }
+  }
+
+  /**
+   * Write the history of every context to the history file, if it can be written
+   */
+  save(): void {
+    const {[DEFAULT_CONTEXT]: history = [], ...contexts} = this.histories;
+    try {
+      fsExtra.outputJsonSync(
+        this.historyFile,
+        Object.keys(contexts).length > 0 ? {history, contexts} : {history},
+      );
+    } catch (err) {
+      // An unwritable history file should not prevent submitting, the entries are kept in memory
+    }
+  }
+}
+
+/**
+ * Coerce a value read from a history file into a list of entries
+ * @param value - The value read from the file
+ * @returns The history entries
+ */
+function toEntries(value: unknown): string[] {
+  return Array.isArray(value) ? value.map(String) : [];
+}
+
+/**
+ * Find the most recent entry containing a query, searching backwards
+ * @param entries - History entries, oldest first
+ * @param query - Text to search for
+ * @param from - Index to start searching from, inclusive
+ * @param skip - Entry to skip, so repeated searches move past identical matches
+ * @returns Index of the matching entry, or -1 if none matches
+ */
+export function findPreviousMatch(
+  entries: string[],
+  query: string,
+  from: number = entries.length - 1,
+  skip?: string,
+): number {
+  if (!query) {
+    return -1;
+  }
+  for (let i = Math.min(from, entries.length - 1); i >= 0; i--) {
+    if (entries[i] !== skip && entries[i].includes(query)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * A history entry with its position in the history
+ */
+export interface HistoryEntry {
+  index: number;
+  value: string;
+}
+
+/**
+ * Filter history entries containing a text, keeping their original positions
+ * @param entries - History entries, oldest first
+ * @param filter - Text the entries must contain
+ * @returns The matching entries, oldest first
+ */
+export function filterHistory(entries: string[], filter: string): HistoryEntry[] {
+  return entries
+    .map((value, index) => ({index, value}))
+    .filter(({value}) => value.includes(filter));
+}
+
+/**
+ * Expand bash-style history references in a line:
+ * `!!` (previous entry), `!-n` (n-th previous entry), `!n` (entry number n), `!prefix` (most recent entry
+ * starting with prefix) and a leading `^old^new^` (previous entry with old replaced by new).
+ * References inside single quotes or escaped as `\!` are left untouched.
+ * @param line - The line to expand
+ * @param entries - History entries, oldest first
+ * @returns The expanded line
+ * @throws Error if a reference does not match any entry
+ */
+export function expandHistory(line: string, entries: string[]): string {
+  const substitution = /^\^([^^]+)\^([^^]*)(?:\^(.*))?$/s.exec(line);
+  if (substitution) {
+    const [, search, replacement, rest = ""] = substitution;
+    const previous = resolveEvent("!", entries);
+    if (!previous.includes(search)) {
+      throw new Error(`^${search}^${replacement}: substitution failed`);
+    }
+    // The replacement is inserted as typed, without expanding patterns such as $&
+    return previous.replace(search, () => replacement) + rest;
+  }
+
+  let result = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === "\\" && line[i + 1] === "!" && !quoted) {
+      result += "!";
+      i++;
+      continue;
+    }
+    if (char === "'") {
+      quoted = !quoted;
+    }
+    const event = char === "!" && !quoted
+      ? /^(!|-?\d+|[^\s!=();&|<>"'`]+)/.exec(line.slice(i + 1))?.[1]
+      : undefined;
+    if (event === undefined) {
+      result += char;
+      continue;
+    }
+    result += resolveEvent(event, entries);
+    i += event.length;
+  }
+  return result;
+}
+
+/**
+ * Resolve a single history event designator
+ * @param event - The designator following `!`
+ * @param entries - History entries, oldest first
+ * @returns The referenced entry
+ * @throws Error if the designator does not match any entry
+ */
+function resolveEvent(event: string, entries: string[]): string {
+  let entry: string | undefined;
+  if (event === "!") {
+    entry = entries.at(-1);
+  } else if (/^-\d+$/.test(event)) {
+    entry = Number(event) < 0 ? entries.at(Number(event)) : undefined;
+  } else if (/^\d+$/.test(event)) {
+    entry = entries[Number(event)];
+  } else {
+    entry = [...entries].reverse().find((value) => value.startsWith(event));
+  }
+  if (entry === undefined) {
+    throw new Error(`!${event}: event not found`);
+  }
+  return entry;
+}
+
+/**
+ * Find the most recent entry extending a line, for inline suggestions
+ * @param entries - History entries, oldest first
+ * @param line - The line being typed
+ * @returns The text completing the line, empty if no entry extends it
+ */
+export function suggestFromHistory(entries: string[], line: string): string {
+  if (!line) {
+    return "";
+  }
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].length > line.length && entries[i].startsWith(line)) {
+      return entries[i].slice(line.length);
+    }
+  }
+  return "";
+}
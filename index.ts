@@ -8,15 +8,125 @@ import {
   useEffect,
   useKeypress,
   useMemo,
+  usePagination,
   usePrefix,
+  useRef,
   useState,
 } from "@inquirer/core";
-import {InquirerReadline} from "@inquirer/type";
+import {Context, InquirerReadline} from "@inquirer/type";
 import chalk from "chalk";
 
-import {formatIndex, formatList, short} from "./helpers.js";
+import {
+  applyCompletion,
+  Completer,
+  CompletionCandidate,
+  CompletionItem,
+  CompletionResult,
+  getCompletionContext,
+  longestCommonPrefix,
+  matchCandidates,
+  Matcher,
+  matchers,
+  toCompletionItem,
+} from "./completion.js";
+import {
+  defaultEditor,
+  deleteBackward,
+  deleteForward,
+  deleteTo,
+  editExternally,
+  insertText,
+  KillRing,
+  moveLeft,
+  moveRight,
+  moveVertically,
+  splitLine,
+  TextBuffer,
+  wordBoundary,
+} from "./editor.js";
+import {
+  applyHighlight,
+  classifyTokens,
+  defaultHighlighter,
+  Highlighter,
+  HighlightSpan,
+  issueStyles,
+} from "./highlight.js";
+import {
+  emacsKeymap,
+  KeyAction,
+  keyDescriptor,
+  Keymap,
+  normalizeKeymap,
+  viInsertKeymap,
+  viNormalKeymap,
+} from "./keymap.js";
+import {formatIndex, formatList, formatTable, highlightChars, short} from "./helpers.js";
+import {
+  EphemeralHistory,
+  expandHistory,
+  FileBackedHistory,
+  FileBackedHistoryConfig,
+  filterHistory,
+  findPreviousMatch,
+  HistoryEntry,
+  HistoryHandler,
+  suggestFromHistory,
+} from "./history.js";
+import {isInputComplete, ParsedCommand, parseCommand} from "./tokenizer.js";
+
+export {EphemeralHistory, expandHistory, FileBackedHistory} from "./history.js";
+export type {FileBackedHistoryConfig, HistoryHandler, HistoryOptions} from "./history.js";
+export {applyCompletion, getCompletionContext, longestCommonPrefix, matchers} from "./completion.js";
+export {commandCompleter, commandHelp} from "./commands.js";
+export type {ArgumentSpec, CommandSpec, FlagSpec} from "./commands.js";
+export {classifyTokens, defaultHighlighter, highlightStyles, issueStyles} from "./highlight.js";
+export type {Highlighter, HighlightSpan, HighlightToken, HighlightTokenType} from "./highlight.js";
+export {emacsKeymap, keyDescriptor, viInsertKeymap, viNormalKeymap} from "./keymap.js";
+export type {KeyAction, Keymap} from "./keymap.js";
+export {pathCompleter} from "./paths.js";
+export type {PathCompleterOptions} from "./paths.js";
+export {isInputComplete, parseCommand, tokenAt, tokenize} from "./tokenizer.js";
+export type {ParsedCommand, Token} from "./tokenizer.js";
+export type {
+  Completer,
+  CompletionCandidate,
+  CompletionContext,
+  CompletionItem,
+  Matcher,
+  MatchResult,
+} from "./completion.js";
+
+const defaultHistory: HistoryHandler = new EphemeralHistory();
+
+/**
+ * Kill ring shared by the prompts, so text killed in one prompt can be yanked in the next
+ */
+const killRing = new KillRing();
 
-const defaultHistory: string[] = [];
+/**
+ * Actions adding to the kill ring, consecutive kills are yanked back together
+ */
+const KILL_ACTIONS: KeyAction[] = ["backward-kill-word", "kill-word", "backward-kill-line", "kill-line"];
+
+/**
+ * A problem found by a validator, with the part of the input it is about
+ */
+export interface ValidationIssue {
+  /** Message shown under the input */
+  message: string;
+  /** Offset of the first character of the offending range, lines separated by newlines */
+  start?: number;
+  /** Offset after the offending range, the end of the input by default */
+  end?: number;
+  /** Warnings are shown but still allow submitting */
+  severity?: "error" | "warning";
+}
+
+/**
+ * Result of a validator: true when valid, false or a message when invalid, or an issue
+ */
+export type ValidationResult = boolean | string | ValidationIssue;
 
 /**
  * Configuration options for the command prompt
@@ -24,14 +134,64 @@ const defaultHistory: string[] = [];
 export interface CommandPromptConfig {
   /** The prompt message */
   message: string;
-  /** The history object */
-  history?: string[];
-  /** Auto-completion function or array */
-  autoCompletion?: ((line: string) => Promise<string[]> | string[]) | string[];
+  /** Initial history entries, or the configuration of a file-backed history */
+  history?: string[] | FileBackedHistoryConfig;
+  /** Handler used to store and navigate history, takes precedence over history */
+  historyHandler?: HistoryHandler;
+  /** Name of the history context, so separate prompts keep separate histories */
+  context?: string;
+  /** Only navigate to history entries starting with the text typed before pressing Up/Down */
+  historySearchPrefix?: boolean;
+  /** Number of entries shown at once by the history browser and the live completion menu */
+  pageSize?: number;
+  /** Expand bash-style history references (!!, !n, !-n, !prefix, ^old^new) on submit */
+  historyExpansion?: boolean;
+  /**
+   * Show a dimmed suggestion after the cursor, taken from the most recent history entry extending the line
+   * (true or "history") or from the first completion candidate ("completion")
+   */
+  autosuggest?: boolean | "history" | "completion";
+  /**
+   * Auto-completion function or array, matches replace the whole line.
+   * The signal is aborted when the line changes before a live completion finishes.
+   */
+  autoCompletion?:
+    | ((line: string, signal?: AbortSignal) => Promise<CompletionCandidate[]> | CompletionCandidate[])
+    | CompletionCandidate[];
+  /** Completer for the word under the cursor, takes precedence over autoCompletion */
+  completer?: Completer;
+  /**
+   * How candidates are matched against the typed text and ranked: "prefix", "substring", "fuzzy" or a custom
+   * function. Without a matcher, autoCompletion keeps candidates starting with the line and completer results are
+   * used as returned.
+   */
+  matcher?: "prefix" | "substring" | "fuzzy" | Matcher;
+  /** Show a menu of completions under the line, updated while typing */
+  liveCompletion?: boolean;
+  /** Milliseconds to wait after the last keystroke before updating the live completion menu */
+  liveCompletionDelay?: number;
+  /**
+   * Continue onto a new line when Enter is pressed on incomplete input: an open quote, an unclosed bracket or a
+   * trailing backslash
+   */
+  continuation?: boolean;
+  /** Decide whether the input can be submitted, replacing the built-in check. Enables continuation */
+  isComplete?: (text: string) => boolean;
+  /** Prompt shown before continuation lines */
+  continuationPrompt?: string;
+  /**
+   * Color the input while typing: true for the built-in highlighting, where commands unknown to the completion
+   * source are red, or a function styling ranges of the input from its words. Ignored when transformer is set
+   */
+  highlight?: boolean | Highlighter;
   /** Transform the displayed value */
   transformer?: (value: string) => string;
   /** Validate the input */
-  validate?: (value: string) => Promise<boolean | string> | boolean | string;
+  validate?: (value: string) => Promise<ValidationResult> | ValidationResult;
+  /** Also validate while typing, showing the issue under the input */
+  validateOnType?: boolean;
+  /** Milliseconds to wait after the last keystroke before validating while typing */
+  validateOnTypeDelay?: number;
   /** Whether input is required */
   required?: boolean;
   /** Called before each keypress */
@@ -42,6 +202,11 @@ export interface CommandPromptConfig {
   onClose?: (value: string) => void;
   /** Custom autocomplete prompt message */
   autocompletePrompt?: string;
+  /**
+   * How Tab handles several matches: list them after extending the common prefix ("list"),
+   * insert each candidate in turn ("cycle"), or cycle while listing them ("menu")
+   */
+  completionMode?: "list" | "cycle" | "menu";
   /** Whether to shorten autocomplete suggestions */
   short?: boolean | ((value: string, matches: string[]) => string[]);
   /** Maximum size for formatting */
@@ -58,6 +223,31 @@ export interface CommandPromptConfig {
   theme?: Partial<Theme>;
   /** Default value */
   default?: string;
+  /** Resolve to the parsed command instead of the line, reporting unterminated quotes as validation errors */
+  parse?: boolean;
+  /** Key bindings: "emacs", or "vi" with insert and normal modes */
+  editMode?: "emacs" | "vi";
+  /** Bindings added to the emacs keymap, or to the insert mode keymap in vi mode. Null unbinds a key */
+  keybindings?: Keymap;
+  /** Bindings added to the normal mode keymap of vi mode. Null unbinds a key */
+  viKeybindings?: Keymap;
+  /**
+   * Editor opened with Ctrl+X Ctrl+E, run by the shell with the path of the file to edit appended.
+   * Defaults to $VISUAL, then $EDITOR
+   */
+  editor?: string;
+  /** Submit the input when the editor exits, instead of loading it back for further editing */
+  submitFromEditor?: boolean;
+}
+
+/**
+ * The command prompt, resolving to the parsed command when `parse` is true, to the line when it is false or missing,
+ * and to either when it is only known at runtime
+ */
+export interface CommandPrompt {
+  (config: CommandPromptConfig & {parse: true}, context?: Context): Promise<ParsedCommand>;
+  (config: CommandPromptConfig & {parse?: false}, context?: Context): Promise<string>;
+  (config: CommandPromptConfig, context?: Context): Promise<string | ParsedCommand>;
 }
 
 /**
@@ -74,8 +264,24 @@ interface LinesState {
  */
 interface KeyEvent {
   name: string;
+  ctrl?: boolean;
   meta?: boolean;
   shift?: boolean;
+  sequence?: string;
+}
+
+/**
+ * Internal state of the reverse incremental history search
+ */
+interface SearchState {
+  /** The text being searched for */
+  query: string;
+  /** Index of the matching history entry, or -1 when nothing matches */
+  index: number;
+  /** The matching history entry */
+  match: string;
+  /** Lines to restore when the search is cancelled */
+  original: LinesState;
 }
 
 /**
@@ -85,22 +291,171 @@ interface ReadlineInterface {
   cursor?: number;
 }
 
+/**
+ * Internal state of Up/Down history navigation
+ */
+interface NavigationState {
+  /** The input being edited when navigation started */
+  draft: string;
+}
+
+/**
+ * Internal state of the completion candidates cycled through with Tab
+ */
+interface CompletionCycleState {
+  matches: CompletionItem[];
+  /** Index of the inserted candidate */
+  index: number;
+  /** Position where candidates are inserted */
+  start: number;
+  /** The text that was completed */
+  typed: string;
+  /** The line before the first candidate was inserted */
+  original: string;
+}
+
+/**
+ * Internal state of the live completion menu
+ */
+interface LiveCompletionState extends CompletionResult {
+  /** The line the completions were computed for */
+  line: string;
+  /** Index of the highlighted candidate, or -1 when none is highlighted */
+  active: number;
+}
+
+/**
+ * Internal state of the commands looked up for highlighting
+ */
+interface KnownCommandsState {
+  /** The completion source the commands were looked up with */
+  source: unknown;
+  /** Whether each command exists */
+  commands: Record<string, boolean>;
+}
+
+/**
+ * Internal state of the last validation
+ */
+interface ValidationState {
+  /** The input that was validated */
+  text: string;
+  /** The problem found, or null when the input is valid */
+  issue: ValidationIssue | null;
+}
+
+/**
+ * Internal state of undo and redo
+ */
+interface EditsState {
+  /** States of the input to go back to, most recent last */
+  undo: TextBuffer[];
+  /** States undone, most recent last */
+  redo: TextBuffer[];
+  /** The input as last rendered */
+  last: TextBuffer | null;
+  /** What the key being handled does: its action, or "insert" for keys left to readline */
+  kind: string;
+  /** Kind of the last change of the input */
+  group: string;
+}
+
+/**
+ * Internal state of the interactive history browser
+ */
+interface BrowserState {
+  /** Position of the highlighted entry among the filtered entries */
+  active: number;
+}
+
+/**
+ * Step through a history handler until an entry starting with a prefix is found
+ * @param step - Moves the handler cursor and returns the entry, or undefined at the end
+ * @param undo - Moves the handler cursor back by one entry
+ * @param prefix - Required prefix of the entry
+ * @param skip - Entry to skip, so navigation always changes the line
+ * @returns The matching entry, or undefined with the handler cursor unchanged
+ */
+function stepHistory(
+  step: () => string | undefined,
+  undo: () => string | undefined,
+  prefix: string,
+  skip?: string,
+): string | undefined {
+  let steps = 0;
+  for (let entry = step(); entry !== undefined; entry = step()) {
+    steps++;
+    if (entry.startsWith(prefix) && entry !== skip) {
+      return entry;
+    }
+  }
+  for (; steps > 0; steps--) {
+    undo();
+  }
+  return undefined;
+}
+
+/**
+ * Keep the cursor on a character of the line, as vi does in normal mode
+ * @param rl - The readline interface
+ */
+function keepCursorOnCharacter(rl: InquirerReadline & ReadlineInterface): void {
+  rl.cursor = Math.min(rl.cursor ?? rl.line.length, Math.max(rl.line.length - 1, 0));
+}
+
+/**
+ * Turn the result of a validator into the issue it reports
+ * @param result - The result of the validator
+ * @returns The issue, or null when the input is valid
+ */
+function toValidationIssue(result: ValidationResult): ValidationIssue | null {
+  if (result === true) {
+    return null;
+  }
+  if (typeof result === "object" && result) {
+    return result;
+  }
+  return {message: typeof result === "string" ? result : "You must provide a valid value"};
+}
+
+/**
+ * Resolve the history handler to use for the prompt
+ * @param history - Initial history entries or file-backed history configuration
+ * @param historyHandler - Explicit history handler
+ * @returns The history handler
+ */
+function resolveHistoryHandler(
+  history?: string[] | FileBackedHistoryConfig,
+  historyHandler?: HistoryHandler,
+): HistoryHandler {
+  if (historyHandler) {
+    return historyHandler;
+  }
+  if (Array.isArray(history)) {
+    return new EphemeralHistory(history);
+  }
+  if (history) {
+    return new FileBackedHistory(history);
+  }
+  return defaultHistory;
+}
+
 /**
  * Format auto-completion results
  * @param line - The current input line
  * @param cmds - Array of possible completions
  * @returns Formatted auto-completion result with matches
  */
-function autoCompleterFormatter(line: string, cmds: (string | any)[]): string[] {
+function autoCompleterFormatter(line: string, cmds: (CompletionCandidate | any)[]): CompletionItem[] {
   let max = 0;
 
-  const filteredCmds = cmds.reduce((sum: string[], el: string | any) => {
+  const filteredCmds = cmds.reduce((sum: CompletionItem[], el: CompletionCandidate | any) => {
     const sanitizedLine = line.replace(/[\\.+*?^$\[\](){}\/'#:!=|]/gi, "\\$&");
-    // Convert any non-string elements to strings before testing and pushing
-    const elStr = typeof el === "string" ? el : String(el);
-    if (RegExp(`^${sanitizedLine}`).test(elStr)) {
-      sum.push(elStr);
-      max = Math.max(max, elStr.length);
+    // Convert plain values and rich candidates to items before testing their inserted value
+    const item = toCompletionItem(el);
+    if (RegExp(`^${sanitizedLine}`).test(item.value)) {
+      sum.push(item);
+      max = Math.max(max, item.value.length);
     }
     return sum;
   }, []);
@@ -111,21 +466,44 @@ function autoCompleterFormatter(line: string, cmds: (string | any)[]): string[]
 /**
  * Command prompt with history and auto-completion built on @inquirer/core
  */
-export default createPrompt<string, CommandPromptConfig>((config, done) => {
+const commandPrompt = createPrompt<string | ParsedCommand, CommandPromptConfig>((config, done) => {
   const {
     theme: themeConfig,
     default: defaultValue,
-    history = defaultHistory,
+    history,
+    historyHandler: historyHandlerConfig,
+    context,
+    historySearchPrefix,
+    pageSize = 10,
+    historyExpansion,
+    autosuggest,
     autoCompletion,
+    completer,
+    matcher,
+    liveCompletion,
+    liveCompletionDelay = 100,
     transformer,
     validate,
+    validateOnType,
+    validateOnTypeDelay = 100,
     required,
     autocompletePrompt,
+    completionMode = "list",
     short: shortConfig,
     maxSize,
     ellipsize,
     ellipsis,
     message,
+    parse,
+    continuation,
+    isComplete = continuation ? isInputComplete : undefined,
+    continuationPrompt = "...",
+    highlight,
+    editMode = "emacs",
+    keybindings,
+    viKeybindings,
+    editor,
+    submitFromEditor,
   } = config;
 
   const theme = makeTheme({}, themeConfig);
@@ -136,178 +514,859 @@ export default createPrompt<string, CommandPromptConfig>((config, done) => {
     displayContent: null,
   });
 
-  const [historyPosition, setHistoryPosition] = useState(history.length);
-  useEffect(() => {
-    setHistoryPosition(history.length);
-  }, [history]);
+  const historyHandler = useMemo(() => {
+    const handler = resolveHistoryHandler(history, historyHandlerConfig);
+    handler.init(context);
+    return handler;
+  }, [history, historyHandlerConfig, context]);
 
   const [multiLine, setMultiLine] = useState<boolean>(false);
+  const [search, setSearch] = useState<SearchState | null>(null);
+  const [navigation, setNavigation] = useState<NavigationState | null>(null);
+  const [browser, setBrowser] = useState<BrowserState | null>(null);
+  const [completionCycle, setCompletionCycle] = useState<CompletionCycleState | null>(null);
+  const [completionSuggestion, setCompletionSuggestion] = useState<{line: string; text: string} | null>(null);
+  const [live, setLive] = useState<LiveCompletionState | null>(null);
+  const [knownCommands, setKnownCommands] = useState<KnownCommandsState>({source: null, commands: {}});
+  const [validation, setValidation] = useState<ValidationState | null>(null);
+  const [viMode, setViMode] = useState<"insert" | "normal">("insert");
+  // While the external editor runs, nothing is drawn so the editor has the terminal to itself
+  const [editing, setEditing] = useState<boolean>(false);
+
+  // Keys typed in insert mode (or in emacs mode) and in normal mode are looked up in separate keymaps
+  const keymaps = useMemo(() => ({
+    insert: {...(editMode === "vi" ? viInsertKeymap : emacsKeymap), ...normalizeKeymap(keybindings ?? {})},
+    normal: {...viNormalKeymap, ...normalizeKeymap(viKeybindings ?? {})},
+  }), [editMode, keybindings, viKeybindings]);
+  const viNormal = editMode === "vi" && viMode === "normal";
 
   const prefix = usePrefix({status, theme});
 
   const {activeLines, inactiveLines, displayContent} = lines;
 
+  // The history browser filters entries with the text being typed
+  const browserItems = browser
+    ? filterHistory(historyHandler.getAll(context), activeLines[activeLines.length - 1])
+    : [];
+  const browserPage = usePagination<HistoryEntry>({
+    items: browserItems,
+    active: browser ? Math.max(browser.active, 0) : 0,
+    renderItem: ({item, isActive}) => {
+      const index = chalk.grey(formatIndex(item.index, historyHandler.getAll(context).length));
+      return isActive
+        ? `${theme.style.highlight("❯")} ${index}  ${theme.style.highlight(item.value)}`
+        : `  ${index}  ${item.value}`;
+    },
+    pageSize,
+    loop: false,
+  });
+
   const autoCompleter = useMemo(() => {
+    const match = typeof matcher === "string" ? matchers[matcher] : matcher;
+    if (completer) {
+      return async (line: string, cursor: number, signal?: AbortSignal): Promise<CompletionResult> => {
+        const completionContext = getCompletionContext(line, cursor);
+        const items = ((await completer({...completionContext, signal})) ?? []).map(toCompletionItem);
+        return {
+          matches: match ? matchCandidates(items, completionContext.word, match) : items,
+          start: completionContext.wordStart,
+          end: completionContext.wordEnd,
+        };
+      };
+    }
     if (autoCompletion) {
-      return async (line: string): Promise<string[]> => {
-        let commands: string[];
+      return async (line: string, cursor?: number, signal?: AbortSignal): Promise<CompletionResult> => {
+        const trimmedLine = line.trim();
+        if (match) {
+          const candidates = Array.isArray(autoCompletion)
+            ? autoCompletion
+            : (await autoCompletion(trimmedLine, signal)) ?? [];
+          return {matches: matchCandidates(candidates.map(toCompletionItem), trimmedLine, match), start: 0, end: line.length};
+        }
+        let commands: CompletionCandidate[];
         if (Array.isArray(autoCompletion)) {
-          commands = autoCompletion.filter((cmd: string) => cmd.startsWith(line));
+          commands = autoCompletion.filter((cmd) => toCompletionItem(cmd).value.startsWith(trimmedLine));
         } else {
-          commands = await autoCompletion(line);
+          commands = (await autoCompletion(trimmedLine, signal)) ?? [];
         }
-        return autoCompleterFormatter(line, commands);
+        return {matches: autoCompleterFormatter(trimmedLine, commands), start: 0, end: line.length};
       };
     }
-    return (): string[] => [];
-  }, [autoCompletion]);
+    return (): CompletionResult => ({matches: [], start: 0, end: 0});
+  }, [autoCompletion, completer, matcher]);
+
+  // Inline suggestion for the line being typed
+  const typedLine = activeLines[activeLines.length - 1];
+  let suggestion = "";
+  if (autosuggest === "completion") {
+    suggestion = completionSuggestion?.line === typedLine ? completionSuggestion.text : "";
+  } else if (autosuggest) {
+    suggestion = suggestFromHistory(historyHandler.getAll(context), typedLine);
+  }
+
+  useEffect(() => {
+    if (autosuggest !== "completion" || !typedLine || editing) {
+      return;
+    }
+    let cancelled = false;
+    Promise.resolve(autoCompleter(typedLine, typedLine.length))
+      .then(({matches, start, end}) => {
+        const completed = matches.length > 0 ? applyCompletion(typedLine, start, end, matches[0].value).line : "";
+        if (!cancelled && completed.startsWith(typedLine)) {
+          setCompletionSuggestion({line: typedLine, text: completed.slice(typedLine.length)});
+        }
+      })
+      .catch(() => {
+        // A failing completer simply provides no suggestion
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [typedLine, autosuggest, autoCompleter, editing]);
+
+  /**
+   * Highlight the characters matched by the matcher in the text shown for a candidate
+   * @param text - The text shown, possibly ellipsized
+   * @param item - The completion candidate
+   * @param label - The full text shown for the candidate, the value or its end when shortened
+   * @returns The text with the matched characters highlighted
+   */
+  const styleMatched = (text: string, item: CompletionItem, label: string): string => {
+    if (!item.matched || !item.value.endsWith(label)) {
+      return text;
+    }
+    const offset = item.value.length - label.length;
+    return highlightChars(text, item.matched.map((position) => position - offset), theme.style.highlight);
+  };
+
+  // Live completion menu: recompute the candidates once typing pauses, aborting lookups for older lines
+  const liveVisible = Boolean(
+    live &&
+    live.line === typedLine &&
+    live.matches.length > 0 &&
+    status === "idle" &&
+    !search &&
+    !browser &&
+    !completionCycle &&
+    !multiLine,
+  );
+  const livePage = usePagination<CompletionItem>({
+    items: liveVisible ? live!.matches : [],
+    active: liveVisible ? Math.max(live!.active, 0) : 0,
+    renderItem: ({item, isActive}) => {
+      const label = item.display ?? item.value;
+      const description = item.description ? `  ${chalk.grey(item.description)}` : "";
+      return isActive && live!.active >= 0
+        ? `${theme.style.highlight("❯")} ${theme.style.highlight(label)}${description}`
+        : `  ${styleMatched(label, item, label)}${description}`;
+    },
+    pageSize,
+    loop: false,
+  });
+
+  useEffect(() => {
+    if (!liveCompletion || !typedLine || editing) {
+      return;
+    }
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const cursor = rlRef.current?.cursor ?? typedLine.length;
+      Promise.resolve(autoCompleter(typedLine, Math.min(cursor, typedLine.length), controller.signal))
+        .then(({matches, start, end}) => {
+          if (!controller.signal.aborted) {
+            // Candidates already in the line would not change anything
+            const typed = typedLine.slice(start, end);
+            setLive({line: typedLine, matches: matches.filter((match) => match.value !== typed), start, end, active: -1});
+          }
+        })
+        .catch(() => {
+          // A failing or aborted completer simply leaves the menu empty
+        });
+    }, liveCompletionDelay);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [typedLine, liveCompletion, liveCompletionDelay, autoCompleter, editing]);
+
+  const inputText = [...activeLines, ...inactiveLines].join("\n");
+
+  // Highlighting: whether the command exists is looked up once per command with the completion source,
+  // and again when the source changes
+  const commandWord = highlight && (completer || autoCompletion) ? classifyTokens(inputText)[0]?.value : undefined;
+  const known = knownCommands.source === autoCompleter ? knownCommands.commands : {};
+  useEffect(() => {
+    if (!commandWord || commandWord in known || editing) {
+      return;
+    }
+    const controller = new AbortController();
+    Promise.resolve(autoCompleter(commandWord, commandWord.length, controller.signal))
+      .then(({matches}) => {
+        if (!controller.signal.aborted) {
+          // Completions of whole lines name the command as their first word
+          const exists = matches.some(({value}) => value === commandWord || value.startsWith(`${commandWord} `));
+          setKnownCommands({source: autoCompleter, commands: {...known, [commandWord]: exists}});
+        }
+      })
+      .catch(() => {
+        // A failing completer leaves the command unknown
+      });
+    return () => {
+      controller.abort();
+    };
+  }, [commandWord, autoCompleter, knownCommands, editing]);
+
+  // Validation while typing, once typing pauses; results for older input are ignored
+  useEffect(() => {
+    if (!validateOnType || !validate || !inputText || editing) {
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      Promise.resolve(validate(inputText))
+        .then((result) => {
+          if (!cancelled) {
+            setValidation({text: inputText, issue: toValidationIssue(result)});
+          }
+        })
+        .catch(() => {
+          // A failing validator reports its error on submit
+        });
+    }, validateOnTypeDelay);
+    return () => {
+      clearTimeout(timer);
+      cancelled = true;
+    };
+  }, [inputText, validate, validateOnType, validateOnTypeDelay, editing]);
+
+  // The screen manager places the cursor assuming the rendered line ends with rl.line, so the dimmed
+  // suggestion is appended to rl.line while rendering, and removed before readline handles the next key
+  // The line and cursor before readline handles a key are kept, so keys bound to actions can start again from them
+  const rlRef = useRef<(InquirerReadline & ReadlineInterface) | null>(null);
+  const ghostRef = useRef("");
+  const shownGhostRef = useRef("");
+  const keyLineRef = useRef("");
+  const keyCursorRef = useRef(0);
+  const pasteRef = useRef({active: false, afterReturn: false});
+  const lastActionRef = useRef<KeyAction | undefined>(undefined);
+  const yankRef = useRef<TextBuffer | null>(null);
+  const editsRef = useRef<EditsState>({undo: [], redo: [], last: null, kind: "", group: ""});
+  const chordRef = useRef("");
+  useEffect((rl: InquirerReadline & ReadlineInterface) => {
+    rlRef.current = rl;
+    const removeGhost = () => {
+      shownGhostRef.current = ghostRef.current;
+      if (ghostRef.current && rl.line.endsWith(ghostRef.current)) {
+        rl.line = rl.line.slice(0, -ghostRef.current.length);
+        rl.cursor = Math.min(rl.cursor ?? 0, rl.line.length);
+      }
+      ghostRef.current = "";
+      keyLineRef.current = rl.line;
+      keyCursorRef.current = rl.cursor ?? rl.line.length;
+    };
+    rl.input.prependListener("keypress", removeGhost);
+    // Readline suspends the process on Ctrl+Z unless something listens to SIGTSTP
+    const ignoreSuspend = () => {};
+    const suspendBound = Boolean(keymaps.insert["ctrl+z"] || (editMode === "vi" && keymaps.normal["ctrl+z"]));
+    if (suspendBound) {
+      rl.on("SIGTSTP", ignoreSuspend);
+    }
+    // Bracketed paste lets pasted newlines be told apart from Enter
+    const bracketedPaste = Boolean((rl.output as unknown as NodeJS.WriteStream).isTTY);
+    if (bracketedPaste) {
+      rl.output.write("\x1b[?2004h");
+    }
+    return () => {
+      rl.input.removeListener("keypress", removeGhost);
+      rl.removeListener("SIGTSTP", ignoreSuspend);
+      if (bracketedPaste) {
+        rl.output.write("\x1b[?2004l");
+      }
+    };
+  }, []);
+
+  /**
+   * Format completion candidates into the listing shown under the line
+   * @param typed - The text being completed
+   * @param matches - The completion candidates
+   * @param selected - Index of the candidate to highlight
+   * @returns The formatted listing
+   */
+  const formatCompletions = (typed: string, matches: CompletionItem[], selected?: number): string => {
+    const promptMessage = autocompletePrompt || chalk.grey("Available commands:");
+
+    // The built-in shortening works on each value separately, a custom one gets the whole list
+    const values = matches.map((match) => match.value);
+    let shortened: (string | undefined)[] = values;
+    if (typeof shortConfig === "function") {
+      shortened = shortConfig(typed, [...values]);
+      if (shortened.length !== values.length) {
+        // Entries were dropped, so the shortened values can no longer be matched with their candidates
+        const formattedList = formatList(
+          shortened as string[],
+          maxSize,
+          ellipsize,
+          ellipsis,
+          selected === undefined
+            ? undefined
+            : (text, index) => (index === selected ? theme.style.highlight(text) : text),
+        );
+        return `${promptMessage}\n${formattedList}`;
+      }
+    } else if (shortConfig) {
+      shortened = values.map((value) => short(typed, [value])[0]);
+    }
+
+    // Candidates are listed under their group heading, in the order the groups first appear
+    const groups = new Map<string, {item: CompletionItem; index: number; label: string}[]>();
+    matches.forEach((item, index) => {
+      const label = item.display ?? shortened[index];
+      if (label) {
+        const group = groups.get(item.group ?? "") ?? [];
+        group.push({item, index, label});
+        groups.set(item.group ?? "", group);
+      }
+    });
+
+    const sections = [...groups].map(([group, entries]) => {
+      const highlight = (text: string, index: number) => {
+        const {item, index: position, label} = entries[index];
+        return position === selected ? theme.style.highlight(text) : styleMatched(text, item, label);
+      };
+      const formatted = entries.some(({item}) => item.description)
+        ? formatTable(
+          entries.map(({item, label}) => ({label, description: item.description})),
+          maxSize,
+          ellipsize,
+          ellipsis,
+          highlight,
+        )
+        : formatList(entries.map(({label}) => label), maxSize, ellipsize, ellipsis, highlight);
+      if (groups.size === 1 && !group) {
+        return formatted;
+      }
+      return group ? `${chalk.bold(group)}\n${formatted.trimEnd()}` : formatted.trimEnd();
+    });
+    return `${promptMessage}\n${sections.join("\n")}`;
+  };
 
   useKeypress(async (key: KeypressEvent & KeyEvent, rl: InquirerReadline & ReadlineInterface) => {
     // Ignore keypress while our prompt is doing other processing
-    if (status !== "idle") {
+    if (status !== "idle" || editing) {
       return;
     }
 
-    // Multi-line toggle: meta+M
-    if ((key.name === "m" || key.name === "M") && key.meta) {
-      if (multiLine) {
-        // Exit multi-line mode
-        setMultiLine(false);
-        setLines({
-          activeLines: [activeLines[0]],
-          inactiveLines: [],
-        });
+    const currentLine = activeLines[activeLines.length - 1];
+    const text = [...activeLines, ...inactiveLines].join("\n");
+
+    /**
+     * The edited lines, with the cursor on the current line
+     * @param col - Position of the cursor in the current line
+     * @returns The lines with the cursor
+     */
+    const toBuffer = (col: number): TextBuffer => ({
+      lines: [...activeLines, ...inactiveLines],
+      row: activeLines.length - 1,
+      col: Math.min(col, currentLine.length),
+    });
+    /**
+     * Show edited lines, the lines up to the cursor are active and the following ones inactive
+     * @param buffer - The edited lines with the cursor
+     */
+    const setBuffer = ({lines: bufferLines, row, col}: TextBuffer) => {
+      setLines({activeLines: bufferLines.slice(0, row + 1), inactiveLines: bufferLines.slice(row + 1)});
+      rl.line = bufferLines[row];
+      rl.cursor = col;
+    };
+    /**
+     * Replace the input with an entry, such as a history entry, with the cursor at its end
+     * @param entry - The entry, lines separated by newlines
+     */
+    const loadEntry = (entry: string) => {
+      const entryLines = entry.split("\n");
+      setBuffer({lines: entryLines, row: entryLines.length - 1, col: entryLines[entryLines.length - 1].length});
+    };
+
+    // Bracketed paste: newlines in the pasted text start new lines instead of submitting
+    const paste = pasteRef.current;
+    if (key.name === "paste-start" || key.name === "paste-end") {
+      pasteRef.current = {active: key.name === "paste-start", afterReturn: false};
+      return;
+    }
+    const afterReturn = paste.afterReturn;
+    paste.afterReturn = paste.active && key.name === "return";
+    if (paste.active && afterReturn && key.name === "enter") {
+      // Second half of a pasted \r\n
+      return;
+    }
+
+    // Pasted text is inserted as is, other keys are looked up in the keymap
+    let action: KeyAction | undefined;
+    if (paste.active) {
+      action = isEnterKey(key) ? "insert-newline" : undefined;
+    } else {
+      // Keys of a chord, such as Ctrl+X Ctrl+E, are collected until they make up a binding
+      const keymap = viNormal ? keymaps.normal : keymaps.insert;
+      const started = chordRef.current;
+      const pressed = started ? `${started} ${keyDescriptor(key)}` : keyDescriptor(key);
+      action = keymap[pressed] ?? undefined;
+      const chordStart = !action &&
+        Object.entries(keymap).some(([binding, bound]) => bound && binding.startsWith(`${pressed} `));
+      chordRef.current = chordStart ? pressed : "";
+      if (!action && (started || chordStart)) {
+        // Keys starting a chord, or ending one without a binding, do nothing
+        rl.line = keyLineRef.current;
+        rl.cursor = keyCursorRef.current;
+        return;
+      }
+    }
+    if (action || viNormal) {
+      // Readline already handled the key, undo it so only the action applies
+      rl.line = keyLineRef.current;
+      rl.cursor = keyCursorRef.current;
+    }
+    if (viNormal) {
+      // The line may have been replaced after the last render, by a completion
+      keepCursorOnCharacter(rl);
+    }
+    const previousAction = lastActionRef.current;
+    lastActionRef.current = action;
+    editsRef.current.kind = action ?? "insert";
+
+    // Accept the inline suggestion: moving forward accepts all of it, moving a word forward its next word
+    const shownGhost = shownGhostRef.current;
+    if (shownGhost && (action === "forward-char" || action === "end-of-line" || action === "forward-word")) {
+      const accepted = action === "forward-word" ? /^\s*\S*/.exec(shownGhost)![0] : shownGhost;
+      const line = currentLine + accepted;
+      setLines({activeLines: [...activeLines.slice(0, -1), line], inactiveLines});
+      rl.line = line;
+      rl.cursor = line.length;
+      return;
+    }
+
+    if (completionCycle && action !== "complete" && action !== "complete-prev") {
+      setCompletionCycle(null);
+      if (key.name === "escape") {
+        // Restore the line as it was before cycling
+        setLines({activeLines: [...activeLines.slice(0, -1), completionCycle.original], inactiveLines});
+        rl.line = completionCycle.original;
+        rl.cursor = rl.line.length;
+        return;
+      }
+    }
+
+    // Reverse incremental history search: Ctrl+R
+    if (search) {
+      const entries = historyHandler.getAll(context);
+      let {query, index} = search;
+      if (key.name === "r" && key.ctrl) {
+        // Cycle to the next older match
+        const previous = findPreviousMatch(entries, query, index - 1, search.match);
+        index = previous >= 0 ? previous : index;
+      } else if (key.name === "backspace") {
+        query = query.slice(0, -1);
+        index = findPreviousMatch(entries, query);
+      } else if (key.name === "escape" || (key.name === "g" && key.ctrl)) {
+        // Cancel the search and restore the original line
+        const {activeLines: originalLines, inactiveLines: originalInactive} = search.original;
+        setSearch(null);
+        setLines({activeLines: originalLines, inactiveLines: originalInactive});
+        rl.line = originalLines[originalLines.length - 1];
+        rl.cursor = rl.line.length;
+        return;
+      } else if (
+        key.sequence?.length === 1 &&
+        key.sequence >= " " &&
+        !key.ctrl &&
+        !key.meta
+      ) {
+        query += key.sequence;
+        index = findPreviousMatch(entries, query, index >= 0 ? index : undefined);
+      } else if (isEnterKey(key) || ["left", "right", "home", "end"].includes(key.name)) {
+        // Enter and cursor movement accept the current match
+        setSearch(null);
+        if (search.index >= 0) {
+          loadEntry(search.match);
+        } else {
+          const originalLines = search.original.activeLines;
+          setLines(search.original);
+          rl.line = originalLines[originalLines.length - 1];
+          rl.cursor = rl.line.length;
+        }
+        return;
       } else {
-        // Enter multi-line mode
-        setMultiLine(true);
+        return;
       }
+
+      const match = index >= 0 ? entries[index] : "";
+      setSearch({...search, query, index, match});
+      rl.line = match;
+      rl.cursor = Math.max(match.indexOf(query), 0);
       return;
     }
 
-    if (multiLine) {
-      // Handle backspace in multi-line mode
-      if (key.name === "backspace") {
-        // If current line is empty and we're not on the first line, delete the current line
-        if (
-          activeLines.length > 1 &&
-          activeLines[activeLines.length - 1] === ""
-        ) {
-          rl.line = activeLines[activeLines.length - 2];
-          rl.cursor = activeLines[activeLines.length - 2].length;
-          setLines({
-            activeLines: activeLines.slice(0, activeLines.length - 1),
-            inactiveLines,
-          });
-          return;
+    if (action === "history-search") {
+      setSearch({query: "", index: -1, match: "", original: {activeLines, inactiveLines}});
+      setNavigation(null);
+      rl.line = "";
+      rl.cursor = 0;
+      return;
+    }
+
+    // Interactive history browser: Shift+Right
+    if (browser) {
+      if (key.name === "up" || key.name === "down" || key.name === "pageup" || key.name === "pagedown") {
+        const step = key.name.startsWith("page") ? pageSize : 1;
+        const direction = key.name === "up" || key.name === "pageup" ? -1 : 1;
+        setBrowser({
+          active: Math.min(Math.max(browser.active + direction * step, 0), browserItems.length - 1),
+        });
+        return;
+      }
+      if (key.name === "delete") {
+        // Remove the highlighted entry instead of deleting a character
+        rl.line = currentLine;
+        const item = browserItems[browser.active];
+        if (item && historyHandler.remove) {
+          historyHandler.remove(item.index, context);
+          setBrowser({active: Math.min(browser.active, browserItems.length - 2)});
         }
-        // Otherwise, let the default backspace behavior handle character deletion
-      }
-
-      // Handle up/down arrow navigation in multi-line mode
-      if (key.name === "up") {
-        if (activeLines.length > 0) {
-          const newActiveLines = [...activeLines];
-          const lastLine = newActiveLines.pop()!;
-          setLines({
-            inactiveLines: [lastLine, ...inactiveLines],
-            activeLines: newActiveLines,
-          });
+        return;
+      }
+      if (key.name === "escape" || action === "history-browser") {
+        setBrowser(null);
+        return;
+      }
+      if (isEnterKey(key)) {
+        setBrowser(null);
+        const item = browserItems[browser.active];
+        if (item) {
+          // Load the highlighted entry, otherwise submit what was typed
+          loadEntry(item.value);
+          return;
         }
+      }
+    }
+
+    // Live completion menu: arrows highlight a candidate, Enter/Tab insert it
+    if (liveVisible) {
+      const {matches, start, end, active} = live!;
+      if (key.name === "up" || key.name === "down") {
+        const next = active + (key.name === "up" ? -1 : 1);
+        setLive({...live!, active: Math.min(Math.max(next, -1), matches.length - 1)});
+        return;
+      }
+      if (key.name === "escape") {
+        setLive(null);
         return;
       }
+      if (key.name === "tab" || (isEnterKey(key) && active >= 0)) {
+        const completed = applyCompletion(currentLine, start, end, matches[Math.max(active, 0)].value);
+        setLive(null);
+        setLines({activeLines: [...activeLines.slice(0, -1), completed.line], inactiveLines});
+        rl.line = completed.line;
+        rl.cursor = completed.cursor;
+        return;
+      }
+    }
+
+    if (action === "toggle-multiline") {
+      setMultiLine(!multiLine);
+      return;
+    }
+
+    // Editing: Enter splits the line in multi-line mode, while pasting and on incomplete input
+    const buffer = toBuffer(rl.cursor ?? currentLine.length);
+    const line = buffer.lines[buffer.row];
+    if (
+      action === "insert-newline" ||
+      (action === "accept-line" && (multiLine || (isComplete && !isComplete(text))))
+    ) {
+      setBuffer(splitLine(buffer));
+      return;
+    }
+    /**
+     * Delete the text between the cursor and a position of the line, adding it to the kill ring
+     * @param target - The other end of the killed text
+     * @returns The edited buffer
+     */
+    const kill = (target: number): TextBuffer => {
+      const backward = target < buffer.col;
+      const killed = backward ? line.slice(target, buffer.col) : line.slice(buffer.col, target);
+      const extend = previousAction && KILL_ACTIONS.includes(previousAction);
+      killRing.push(killed, extend ? (backward ? "prepend" : "append") : undefined);
+      return deleteTo(buffer, target);
+    };
+    /**
+     * Insert the current text of the kill ring, remembering the input before it to replace it with Alt+Y
+     * @param from - The input to insert the text in
+     * @returns The edited buffer
+     */
+    const yank = (from: TextBuffer): TextBuffer => {
+      const yanked = killRing.current();
+      if (yanked === undefined) {
+        return buffer;
+      }
+      yankRef.current = from;
+      return insertText(from, yanked);
+    };
 
-      if (key.name === "down") {
-        if (inactiveLines.length > 0) {
-          const newInactiveLines = [...inactiveLines];
-          const firstLine = newInactiveLines.shift()!;
-          setLines({
-            activeLines: [...activeLines, firstLine],
-            inactiveLines: newInactiveLines,
-          });
+    if (action === "undo" || action === "redo") {
+      const edits = editsRef.current;
+      const [from, to] = action === "undo" ? [edits.undo, edits.redo] : [edits.redo, edits.undo];
+      const restored = from.pop();
+      if (restored) {
+        to.push(buffer);
+        if (navigation) {
+          historyHandler.init(context);
+          setNavigation(null);
         }
+        setBuffer(restored);
+      }
+      return;
+    }
+
+    const edited: Partial<Record<KeyAction, () => TextBuffer>> = {
+      "backward-char": () => moveLeft(buffer),
+      "forward-char": () => moveRight(buffer),
+      "backward-word": () => ({...buffer, col: wordBoundary(line, buffer.col, -1)}),
+      "forward-word": () => ({...buffer, col: wordBoundary(line, buffer.col, 1)}),
+      "beginning-of-line": () => ({...buffer, col: 0}),
+      "end-of-line": () => ({...buffer, col: line.length}),
+      "backward-delete-char": () => deleteBackward(buffer),
+      "delete-char": () => deleteForward(buffer),
+      "backward-kill-word": () => kill(wordBoundary(line, buffer.col, -1)),
+      "kill-word": () => kill(wordBoundary(line, buffer.col, 1)),
+      "backward-kill-line": () => kill(0),
+      "kill-line": () => kill(line.length),
+      "yank": () => yank(buffer),
+      // Alt+Y right after a yank replaces the yanked text with the previous kill
+      "yank-pop": () => {
+        if ((previousAction !== "yank" && previousAction !== "yank-pop") || !yankRef.current) {
+          return buffer;
+        }
+        killRing.rotate();
+        return yank(yankRef.current);
+      },
+      // Leaving insert mode moves the cursor back onto the last inserted character, as vi does
+      "vi-normal-mode": () => ({...buffer, col: Math.max(buffer.col - 1, 0)}),
+      "vi-insert": () => buffer,
+      "vi-append": () => ({...buffer, col: Math.min(buffer.col + 1, line.length)}),
+      "vi-insert-beginning": () => ({...buffer, col: 0}),
+      "vi-append-end": () => ({...buffer, col: line.length}),
+    };
+    const edit = action && edited[action];
+    if (edit) {
+      const editedBuffer = edit();
+      if (action!.startsWith("vi-")) {
+        setViMode(action === "vi-normal-mode" ? "normal" : "insert");
+      }
+      if (editedBuffer.lines !== buffer.lines) {
+        setNavigation(null);
+        if (browser) {
+          const editedLine = editedBuffer.lines[editedBuffer.row];
+          setBrowser({active: filterHistory(historyHandler.getAll(context), editedLine).length - 1});
+        }
+      }
+      setBuffer(editedBuffer);
+      return;
+    }
+    if (action === "history-prev" || action === "history-next") {
+      // Past the first or last line, the history is navigated unless in multi-line mode
+      const moved = moveVertically(buffer, action === "history-prev" ? -1 : 1);
+      if (moved !== buffer || multiLine) {
+        setBuffer(moved);
         return;
       }
+    }
 
-      // In multi-line mode, handle Enter specially
-      if (isEnterKey(key) && !key.meta) {
-        rl.cursor = 0;
-        setLines({
-          activeLines: [...activeLines, ""],
-          inactiveLines,
-        });
+    // Recall an entry by the number shown in the history browser: !N
+    const recall = /^!(\d+)$/.exec(currentLine);
+    if (action === "accept-line" && recall && inactiveLines.length === 0 && !historyExpansion) {
+      const entry = historyHandler.getAll(context)[Number(recall[1])];
+      if (entry !== undefined) {
+        loadEntry(entry);
         return;
       }
     }
 
-    if (isEnterKey(key)) {
-      const answer = [...activeLines, ...inactiveLines].join("\n");
-      rl.cursor = activeLines[activeLines.length - 1].length;
-      rl.line = activeLines[activeLines.length - 1];
+    /**
+     * Check and submit lines, or show why they cannot be submitted
+     * @param entered - The lines to submit
+     */
+    const submit = async (entered: LinesState) => {
+      let submitted = entered;
+      let answer = [...entered.activeLines, ...entered.inactiveLines].join("\n");
 
-      setStatus("loading");
-      let isValid: boolean | string = true;
-      if (required && !answer.trim()) {
-        isValid = "You must provide a value";
-      } else if (validate) {
+      if (historyExpansion) {
         try {
-          isValid = await validate(answer);
+          const expanded = expandHistory(answer, historyHandler.getAll(context));
+          if (expanded !== answer) {
+            // Echo the expanded line in place of what was typed
+            answer = expanded;
+            submitted = {activeLines: expanded.split("\n"), inactiveLines: []};
+            setLines(submitted);
+          }
         } catch (err) {
-          isValid = "Validation error";
+          const enteredLine = entered.activeLines[entered.activeLines.length - 1];
+          setLines({...entered, displayContent: theme.style.error((err as Error).message)});
+          rl.line = enteredLine;
+          rl.cursor = enteredLine.length;
+          return;
         }
       }
-      if (isValid === true) {
-        if (history == defaultHistory) {
-          history.push(answer);
+      const submittedLine = submitted.activeLines[submitted.activeLines.length - 1];
+      rl.cursor = submittedLine.length;
+      rl.line = submittedLine;
+
+      setStatus("loading");
+      let isValid: ValidationResult = true;
+      let parsed: ParsedCommand | undefined;
+      if (required && !answer.trim()) {
+        isValid = "You must provide a value";
+      } else {
+        if (parse) {
+          try {
+            parsed = parseCommand(answer);
+          } catch (err) {
+            isValid = (err as Error).message;
+          }
         }
+        if (isValid === true && validate) {
+          try {
+            isValid = await validate(answer);
+          } catch (err) {
+            isValid = "Validation error";
+          }
+        }
+      }
+      // Warnings do not prevent submitting
+      const issue = toValidationIssue(isValid);
+      if (!issue || issue.severity === "warning") {
+        historyHandler.add(context, answer);
         setStatus("done");
-        done(answer);
+        done(parsed ?? answer);
       } else {
-        setLines({
-          activeLines,
-          inactiveLines,
-          displayContent: theme.style.error(
-            typeof isValid === "string"
-              ? isValid
-              : "You must provide a valid value",
-          ),
-        });
+        setLines(submitted);
+        setValidation({text: answer, issue});
         setStatus("idle");
       }
+    };
+
+    if (action === "accept-line" || action === "submit") {
+      await submit({activeLines, inactiveLines});
       return;
     }
 
-    if (key.name === "up") {
-      if (historyPosition > 0 && history.length > 0) {
-        setHistoryPosition(historyPosition - 1);
+    // Edit the input in an external editor, the prompt being cleared and paused until it exits
+    if (action === "edit-in-editor") {
+      const input = rl.input as NodeJS.ReadStream;
+      const raw = input.isRaw;
+      const cursor = rl.cursor ?? currentLine.length;
+      rl.line = "";
+      rl.cursor = 0;
+      setEditing(true);
+      rl.pause();
+      input.setRawMode?.(false);
+      let edited = text;
+      let failure: Error | null = null;
+      try {
+        edited = await editExternally(text, editor ?? defaultEditor());
+      } catch (err) {
+        failure = err as Error;
+      }
+      input.setRawMode?.(raw);
+      rl.resume();
+      rl.line = currentLine;
+      rl.cursor = cursor;
+      setEditing(false);
+      if (failure) {
+        setLines({activeLines, inactiveLines, displayContent: theme.style.error(failure.message)});
+        return;
+      }
+      setNavigation(null);
+      if (submitFromEditor) {
+        const editedLines = edited.split("\n");
+        await submit({activeLines: editedLines, inactiveLines: []});
+        return;
+      }
+      // Input spanning several lines is edited further in multi-line mode
+      if (edited.includes("\n")) {
+        setMultiLine(true);
+      }
+      loadEntry(edited);
+      return;
+    }
 
-        const previousCommand = history[historyPosition - 1] ?? "";
-        setLines({
-          activeLines: [previousCommand],
-          inactiveLines: [],
-        });
-        rl.line = previousCommand;
-        rl.cursor = previousCommand.length;
+    const draft = navigation?.draft ?? text;
+    const historyPrefix = historySearchPrefix ? draft : "";
+    const skip = historySearchPrefix ? text : undefined;
+
+    if (viNormal && !action) {
+      // Keys without a binding do nothing in normal mode
+      return;
+    }
+
+    if (action === "history-prev") {
+      const previousCommand = stepHistory(
+        () => historyHandler.getPrevious(context),
+        () => historyHandler.getNext(context),
+        historyPrefix,
+        skip,
+      );
+      if (previousCommand !== undefined) {
+        setNavigation({draft});
+        loadEntry(previousCommand);
+      }
+    } else if (action === "history-next") {
+      let nextCommand = stepHistory(
+        () => historyHandler.getNext(context),
+        () => historyHandler.getPrevious(context),
+        historyPrefix,
+        skip,
+      );
+      if (navigation && !nextCommand) {
+        // Moving past the newest entry restores the line being edited
+        historyHandler.init(context);
+        setNavigation(null);
+        nextCommand = navigation.draft;
       }
-    } else if (key.name === "down") {
-      if (historyPosition < history.length) {
-        setHistoryPosition(historyPosition + 1);
+      if (nextCommand !== undefined) {
+        loadEntry(nextCommand);
+      }
+    } else if (action === "complete" || action === "complete-prev") {
+      const value = currentLine;
+      const cursor = Math.min(rl.cursor ?? value.length, value.length);
+      const backwards = action === "complete-prev";
 
-        const nextCommand = history[historyPosition + 1] ?? "";
+      if (completionCycle) {
+        // Repeated Tab/Shift+Tab replaces the inserted candidate with the next/previous one
+        const {matches, index, start, typed} = completionCycle;
+        const next = (index + (backwards ? -1 : 1) + matches.length) % matches.length;
+        const completed = applyCompletion(value, start, start + matches[index].value.length, matches[next].value);
+        setCompletionCycle({...completionCycle, index: next});
         setLines({
-          activeLines: [nextCommand],
-          inactiveLines: [],
+          activeLines: [...activeLines.slice(0, -1), completed.line],
+          inactiveLines,
+          displayContent: completionMode === "menu" ? formatCompletions(typed, matches, next) : null,
         });
-        rl.line = nextCommand;
-        rl.cursor = nextCommand.length;
+        rl.line = completed.line;
+        rl.cursor = completed.cursor;
+        return;
       }
-    } else if (key.name === "tab") {
-      const value = activeLines[activeLines.length - 1];
-      rl.cursor = value.length;
-      rl.line = value;
 
-      const trimmedValue = value.trim();
       // Handle tab completion
-      const matches = (await autoCompleter(trimmedValue)) ?? [];
+      let result: CompletionResult;
+      try {
+        result = await autoCompleter(value, cursor);
+      } catch (err) {
+        // A failing completer shows its error instead of completing
+        setLines({activeLines, inactiveLines, displayContent: theme.style.error((err as Error).message)});
+        return;
+      }
+      const {matches, start, end} = result;
+      const typed = value.slice(start, end);
+      const common = longestCommonPrefix(matches.map((match) => match.value));
       if (matches.length === 0) {
         setLines({
           activeLines,
@@ -315,50 +1374,53 @@ export default createPrompt<string, CommandPromptConfig>((config, done) => {
           displayContent: chalk.grey("No available commands"),
         });
       } else if (matches.length === 1) {
-        const match = matches[0];
+        const completed = applyCompletion(value, start, end, matches[0].value);
+        setLines({
+          activeLines: [...activeLines.slice(0, -1), completed.line],
+          inactiveLines,
+        });
+        rl.line = completed.line;
+        rl.cursor = completed.cursor;
+      } else if (completionMode !== "list") {
+        // Insert the first candidate (the last one with Shift+Tab) and start cycling
+        const index = backwards ? matches.length - 1 : 0;
+        const completed = applyCompletion(value, start, end, matches[index].value);
+        setCompletionCycle({matches, index, start, typed, original: value});
+        setLines({
+          activeLines: [...activeLines.slice(0, -1), completed.line],
+          inactiveLines,
+          displayContent: completionMode === "menu" ? formatCompletions(typed, matches, index) : null,
+        });
+        rl.line = completed.line;
+        rl.cursor = completed.cursor;
+      } else if (common.startsWith(typed.trimStart()) && common.length > typed.trimStart().length) {
+        // Extend the line to the longest common prefix, the list is shown on the next Tab
+        const completed = applyCompletion(value, start, end, common);
         setLines({
-          activeLines: [match],
-          inactiveLines: [],
+          activeLines: [...activeLines.slice(0, -1), completed.line],
+          inactiveLines,
         });
-        rl.line = match;
-        rl.cursor = match.length;
+        rl.line = completed.line;
+        rl.cursor = completed.cursor;
       } else {
         // Display autocompletion suggestions
-        const promptMessage =
-          autocompletePrompt || chalk.grey("Available commands:");
-        const formattedList = formatList(
-          shortConfig
-            ? typeof shortConfig === "function"
-              ? shortConfig(value, matches)
-              : short(value, matches)
-            : matches,
-          maxSize,
-          ellipsize,
-          ellipsis,
-        );
         setLines({
           activeLines,
           inactiveLines,
-          displayContent: `${promptMessage}\n${formattedList}`,
+          displayContent: formatCompletions(typed, matches),
         });
       }
-    } else if (key.name === "right" && key.shift) {
-      // Display all history entries
-      let historyDisplay = chalk.bold("History:");
-      if (history.length === 0) {
-        historyDisplay += "\n" + chalk.grey("  (No history)");
-      } else {
-        for (let i = 0; i < history.length; i++) {
-          historyDisplay += `\n${chalk.grey(formatIndex(i, history.length))}  ${history[i]}`;
+    } else if (action === "history-browser") {
+      // Browse history entries, starting from the newest one matching the line
+      setBrowser({active: filterHistory(historyHandler.getAll(context), currentLine).length - 1});
+      setLines({activeLines, inactiveLines});
+    } else {
+      if (rl.line !== currentLine) {
+        setNavigation(null);
+        if (browser) {
+          setBrowser({active: filterHistory(historyHandler.getAll(context), rl.line).length - 1});
         }
       }
-
-      setLines({
-        activeLines,
-        inactiveLines,
-        displayContent: historyDisplay,
-      });
-    } else {
       activeLines[activeLines.length - 1] = rl.line;
       setLines({
         activeLines: [...activeLines],
@@ -367,16 +1429,118 @@ export default createPrompt<string, CommandPromptConfig>((config, done) => {
     }
   });
 
+  // Changes of the input are recorded for undo, consecutive typing being undone at once
+  const edits = editsRef.current;
+  if (edits.last && edits.last.lines.join("\n") !== inputText) {
+    if (edits.kind !== "undo" && edits.kind !== "redo") {
+      if (edits.kind !== "insert" || edits.group !== "insert") {
+        edits.undo.push(edits.last);
+      }
+      edits.redo = [];
+    }
+    edits.group = edits.kind;
+  }
+  edits.last = {
+    lines: [...activeLines, ...inactiveLines],
+    row: activeLines.length - 1,
+    col: Math.min(rlRef.current?.cursor ?? typedLine.length, typedLine.length),
+  };
+
+  if (editing) {
+    return "";
+  }
+
   const messageText = theme.style.message(message, status);
 
+  const rl = rlRef.current;
+  let ghost = "";
+  if (rl) {
+    if (ghostRef.current && rl.line.endsWith(ghostRef.current)) {
+      rl.line = rl.line.slice(0, -ghostRef.current.length);
+    }
+    if (viNormal && status === "idle") {
+      // Whatever replaced the line, such as a history entry or a completion
+      keepCursorOnCharacter(rl);
+    }
+    if (
+      suggestion &&
+      status === "idle" &&
+      !search &&
+      !browser &&
+      !completionCycle &&
+      !multiLine &&
+      activeLines.length === 1 &&
+      inactiveLines.length === 0 &&
+      rl.line === typedLine &&
+      rl.cursor === typedLine.length
+    ) {
+      ghost = suggestion;
+    }
+    ghostRef.current = ghost;
+    rl.line += ghost;
+  }
+
+  if (search) {
+    const {query, index, match} = search;
+    const label = `(${index < 0 && query ? "failed " : ""}reverse-i-search)\`${query}': `;
+    const at = match.indexOf(query);
+    const highlighted = at >= 0 && query
+      ? match.slice(0, at) + theme.style.highlight(query) + match.slice(at + query.length)
+      : match;
+    return [[prefix, messageText, label + highlighted].join(" "), ""];
+  }
+
+  // The issue found by the last validation, while the input is unchanged
+  const issue = validation?.text === inputText && status !== "done" ? validation.issue : null;
+  let issueMessage = "";
+  if (issue) {
+    issueMessage = issue.severity === "warning" ? chalk.yellow(issue.message) : theme.style.error(issue.message);
+  }
+
+  // Highlighted lines keep their text, so the cursor stays in place
+  let highlightedLines: string[] | undefined;
+  if (!transformer && status !== "done" && (highlight || issue?.start !== undefined)) {
+    const spans: HighlightSpan[] = [];
+    // The issue comes first so its style is innermost, its color showing over the others
+    if (issue?.start !== undefined) {
+      spans.push({
+        start: issue.start,
+        end: issue.end ?? inputText.length,
+        style: issueStyles[issue.severity ?? "error"],
+      });
+    }
+    if (highlight) {
+      const highlighter = typeof highlight === "function" ? highlight : defaultHighlighter;
+      const tokens = classifyTokens(inputText, (command) => known[command]);
+      spans.push(...highlighter(tokens, inputText));
+    } else {
+      spans.push({start: 0, end: inputText.length, style: theme.style.answer});
+    }
+    highlightedLines = applyHighlight(inputText, spans).split("\n");
+  }
+
   let activeLinesStr = activeLines.join("\n");
   if (transformer) {
     activeLinesStr = transformer(activeLinesStr);
   }
 
-  activeLinesStr = theme.style.answer(activeLinesStr);
+  activeLinesStr = highlightedLines
+    ? highlightedLines.slice(0, activeLines.length).join("\n")
+    : theme.style.answer(activeLinesStr);
+  if (ghost) {
+    activeLinesStr += chalk.dim(ghost);
+  }
+  // Lines after the first are continuation lines
+  const continued = Boolean(isComplete && !multiLine);
+  const markContinuation = (block: string, first: number): string => block
+    .split("\n")
+    .map((line, index) => (index + first > 0 ? `${chalk.grey(continuationPrompt)} ${line}` : line))
+    .join("\n");
+  if (continued) {
+    activeLinesStr = markContinuation(activeLinesStr, 0);
+  }
 
-  if (activeLines.length > 1 && activeLines[activeLines.length - 1] === "") {
+  if (activeLines.length > 1 && activeLines[activeLines.length - 1] === "" && !continued) {
     activeLinesStr += "\r";
   }
 
@@ -385,8 +1549,12 @@ export default createPrompt<string, CommandPromptConfig>((config, done) => {
     inactiveLinesStr = transformer(inactiveLinesStr);
   }
 
-  if (inactiveLinesStr)
-    inactiveLinesStr = theme.style.answer(inactiveLinesStr) + "\n";
+  if (inactiveLines.length > 0) {
+    inactiveLinesStr = highlightedLines
+      ? highlightedLines.slice(activeLines.length).join("\n")
+      : theme.style.answer(inactiveLinesStr);
+    inactiveLinesStr = (continued ? markContinuation(inactiveLinesStr, 1) : inactiveLinesStr) + "\n";
+  }
 
   let defaultStr = "";
   if (
@@ -398,20 +1566,42 @@ export default createPrompt<string, CommandPromptConfig>((config, done) => {
     defaultStr = theme.style.defaultAnswer(defaultValue);
   }
 
+  // In vi mode, the prefix is followed by the editing mode
+  let modeIndicator = "";
+  if (editMode === "vi" && status !== "done") {
+    modeIndicator = chalk.grey(viNormal ? "[N]" : "[I]");
+  }
+
   // Build the display output
-  const mainLine = [prefix, messageText, defaultStr, activeLinesStr]
+  const mainLine = [prefix, modeIndicator, messageText, defaultStr, activeLinesStr]
     .filter((v) => v !== undefined && v !== "")
     .join(" ");
 
   if (multiLine) {
     return [
       mainLine,
-      inactiveLinesStr +
-      chalk.cyan(
-        "Multi-line mode enabled. Press Meta+Enter to submit, Enter for new line.",
-      ),
+      inactiveLinesStr + [
+        issueMessage,
+        chalk.cyan("Multi-line mode enabled. Press Meta+Enter to submit, Enter for new line."),
+      ].filter(Boolean).join("\n"),
     ];
   }
 
-  return [mainLine, inactiveLinesStr + (displayContent ?? "")];
-});
\ No newline at end of file
+  if (browser) {
+    let historyDisplay = chalk.bold("History:") + "\n";
+    if (browserItems.length > 0) {
+      historyDisplay += browserPage;
+    } else {
+      historyDisplay += chalk.grey(
+        historyHandler.getAll(context).length > 0 ? "  (No matching entries)" : "  (No history)",
+      );
+    }
+    historyDisplay += "\n" + chalk.grey("↑↓ navigate • type to filter • enter load • del remove • esc close");
+    return [mainLine, inactiveLinesStr + historyDisplay];
+  }
+
+  const liveMenu = liveVisible ? livePage : "";
+  return [mainLine, inactiveLinesStr + [issueMessage, displayContent, liveMenu].filter(Boolean).join("\n")];
+});
+
+export default commandPrompt as CommandPrompt;
@@ -0,0 +1,207 @@
+/**
+ * Named actions keys can be bound to
+ */
+export type KeyAction =
+  | "accept-line"
+  | "submit"
+  | "insert-newline"
+  | "complete"
+  | "complete-prev"
+  | "history-prev"
+  | "history-next"
+  | "history-search"
+  | "history-browser"
+  | "toggle-multiline"
+  | "backward-char"
+  | "forward-char"
+  | "backward-word"
+  | "forward-word"
+  | "beginning-of-line"
+  | "end-of-line"
+  | "backward-delete-char"
+  | "delete-char"
+  | "backward-kill-word"
+  | "kill-word"
+  | "backward-kill-line"
+  | "kill-line"
+  | "yank"
+  | "yank-pop"
+  | "undo"
+  | "redo"
+  | "edit-in-editor"
+  | "vi-normal-mode"
+  | "vi-insert"
+  | "vi-append"
+  | "vi-insert-beginning"
+  | "vi-append-end";
+
+/**
+ * Bindings of keys to actions. Keys are written as modifiers and a key name joined with `+`, such as `ctrl+w`,
+ * `meta+b` (or `alt+b`), `shift+tab`, `enter` or `A`. Keys pressed one after the other are separated by spaces, such as
+ * `ctrl+x ctrl+e`. A null action removes a binding, leaving the key to readline.
+ */
+export type Keymap = Record<string, KeyAction | null>;
+
+/**
+ * A key as reported by keypress events
+ */
+export interface KeyDescription {
+  name?: string;
+  sequence?: string;
+  ctrl?: boolean;
+  meta?: boolean;
+  shift?: boolean;
+}
+
+/**
+ * Default bindings, also used in the insert mode of vi
+ */
+export const emacsKeymap: Keymap = {
+  "enter": "accept-line",
+  "meta+enter": "submit",
+  "tab": "complete",
+  "shift+tab": "complete-prev",
+  "up": "history-prev",
+  "down": "history-next",
+  "ctrl+p": "history-prev",
+  "ctrl+n": "history-next",
+  "ctrl+r": "history-search",
+  "shift+right": "history-browser",
+  "meta+m": "toggle-multiline",
+  "meta+M": "toggle-multiline",
+  "left": "backward-char",
+  "ctrl+b": "backward-char",
+  "right": "forward-char",
+  "ctrl+f": "forward-char",
+  "meta+b": "backward-word",
+  "meta+left": "backward-word",
+  "ctrl+left": "backward-word",
+  "meta+f": "forward-word",
+  "meta+right": "forward-word",
+  "ctrl+right": "forward-word",
+  "home": "beginning-of-line",
+  "ctrl+a": "beginning-of-line",
+  "end": "end-of-line",
+  "ctrl+e": "end-of-line",
+  "backspace": "backward-delete-char",
+  "delete": "delete-char",
+  "ctrl+w": "backward-kill-word",
+  "meta+backspace": "backward-kill-word",
+  "meta+d": "kill-word",
+  "ctrl+u": "backward-kill-line",
+  "ctrl+k": "kill-line",
+  "ctrl+y": "yank",
+  "meta+y": "yank-pop",
+  "ctrl+_": "undo",
+  "ctrl+z": "undo",
+  "meta+_": "redo",
+  "ctrl+x ctrl+e": "edit-in-editor",
+};
+
+/**
+ * Bindings of the insert mode of vi: the default bindings, with Escape switching to normal mode
+ */
+export const viInsertKeymap: Keymap = {
+  ...emacsKeymap,
+  "escape": "vi-normal-mode",
+};
+
+/**
+ * Bindings of the normal mode of vi, where unbound keys do nothing
+ */
+export const viNormalKeymap: Keymap = {
+  "enter": "accept-line",
+  "meta+enter": "submit",
+  "tab": "complete",
+  "shift+tab": "complete-prev",
+  "k": "history-prev",
+  "up": "history-prev",
+  "j": "history-next",
+  "down": "history-next",
+  "/": "history-search",
+  "h": "backward-char",
+  "left": "backward-char",
+  "backspace": "backward-char",
+  "l": "forward-char",
+  "right": "forward-char",
+  "space": "forward-char",
+  "b": "backward-word",
+  "w": "forward-word",
+  "0": "beginning-of-line",
+  "^": "beginning-of-line",
+  "home": "beginning-of-line",
+  "$": "end-of-line",
+  "end": "end-of-line",
+  "x": "delete-char",
+  "delete": "delete-char",
+  "X": "backward-delete-char",
+  "D": "kill-line",
+  "p": "yank",
+  "u": "undo",
+  "ctrl+r": "redo",
+  "v": "edit-in-editor",
+  "i": "vi-insert",
+  "a": "vi-append",
+  "I": "vi-insert-beginning",
+  "A": "vi-append-end",
+};
+
+/**
+ * Write a key the way keymaps do
+ * @param key - The key of a keypress event
+ * @returns The key, such as `ctrl+w`, or an empty string for keys without a name
+ */
+export function keyDescriptor(key: KeyDescription): string {
+  let name = key.name ?? key.sequence ?? "";
+  let ctrl = Boolean(key.ctrl);
+  if (!key.name && /^[\x1c-\x1f]$/.test(name)) {
+    // Control characters after Ctrl+Z have no name: Ctrl+\, Ctrl+], Ctrl+^ and Ctrl+_
+    name = String.fromCharCode(name.charCodeAt(0) + 64);
+    ctrl = true;
+  } else if (!key.name && key.meta && name.startsWith("\x1b")) {
+    name = name.slice(1);
+  }
+  if (name === "return") {
+    name = "enter";
+  }
+  let shift = Boolean(key.shift);
+  if (shift && /^[a-z]$/.test(name)) {
+    // Shifted letters are written as capitals
+    name = name.toUpperCase();
+    shift = false;
+  }
+  if (!name) {
+    return "";
+  }
+  return [ctrl && "ctrl", key.meta && "meta", shift && "shift", name].filter(Boolean).join("+");
+}
+
+/**
+ * Bring the keys of a keymap to the form produced by keyDescriptor, so `Alt+b` and `meta+b` are the same key
+ * @param keymap - The keymap
+ * @returns The keymap with normalized keys
+ */
+export function normalizeKeymap(keymap: Keymap): Keymap {
+  const normalized: Keymap = {};
+  for (const [binding, action] of Object.entries(keymap)) {
+    normalized[binding.split(" ").filter(Boolean).map(normalizeKey).join(" ")] = action;
+  }
+  return normalized;
+}
+
+/**
+ * Bring a key of a keymap to the form produced by keyDescriptor
+ * @param binding - The key, such as `Alt+b`
+ * @returns The normalized key
+ */
+function normalizeKey(binding: string): string {
+  const parts = binding.split(/\+(?!$)/);
+  const name = parts.pop()!;
+  const modifiers = new Set(parts.map((part) => part.toLowerCase()));
+  return keyDescriptor({
+    name: name.length > 1 ? name.toLowerCase() : name,
+    ctrl: modifiers.has("ctrl"),
+    meta: modifiers.has("meta") || modifiers.has("alt"),
+    shift: modifiers.has("shift"),
+  });
+}
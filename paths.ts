@@ -0,0 +1,97 @@
+import {Dirent} from "node:fs";
+import {homedir} from "node:os";
+import {extname, resolve as pathResolve} from "node:path";
+import process from "node:process";
+import fsExtra from "fs-extra";
+
+import {Completer, CompletionItem, quoteWord} from "./completion.js";
+
+/**
+ * Options for the filesystem path completer
+ */
+export interface PathCompleterOptions {
+  /** Directory relative paths are resolved from, defaults to the current working directory */
+  cwd?: string;
+  /** Only complete directories */
+  onlyDirectories?: boolean;
+  /** Complete hidden files even when the typed name does not start with a dot */
+  showHidden?: boolean;
+  /** Only complete files with these extensions, such as ".ts" or "json". Directories are always completed */
+  extensions?: string[];
+}
+
+/**
+ * Create a completer for the filesystem path under the cursor.
+ * Directories are completed with a trailing `/`, `~` refers to the home directory, and paths typed in quotes or
+ * with escaped spaces are completed in the same style. The listing shows the names of the entries.
+ * @param options - Where and what to complete
+ * @returns The completer
+ */
+export function pathCompleter(options: PathCompleterOptions = {}): Completer {
+  const {cwd = process.cwd(), onlyDirectories, showHidden} = options;
+  const extensions = options.extensions?.map((ext) => (ext.startsWith(".") ? ext : `.${ext}`));
+
+  return async ({word, argv, wordIndex}): Promise<CompletionItem[]> => {
+    const path = argv[wordIndex];
+    const quote = word[0] === "\"" || word[0] === "'" ? word[0] : "";
+    const slash = path.lastIndexOf("/");
+    const dir = path.slice(0, slash + 1);
+    const base = path.slice(slash + 1);
+    if (path === "~") {
+      return [{value: "~/", display: "~/", type: "directory"}];
+    }
+
+    const directory = pathResolve(cwd, expandHome(dir) || ".");
+    let entries: Dirent[];
+    try {
+      entries = await fsExtra.readdir(directory, {withFileTypes: true});
+    } catch (err) {
+      // A missing or unreadable directory has nothing to complete
+      return [];
+    }
+
+    const items: CompletionItem[] = [];
+    for (const entry of entries) {
+      if (!entry.name.startsWith(base) || (entry.name.startsWith(".") && !base.startsWith(".") && !showHidden)) {
+        continue;
+      }
+      const isDirectory = entry.isDirectory() ||
+        (entry.isSymbolicLink() && (await isDirectoryPath(pathResolve(directory, entry.name))));
+      if (
+        !isDirectory &&
+        (onlyDirectories || (extensions && !extensions.includes(extname(entry.name))))
+      ) {
+        continue;
+      }
+      const name = isDirectory ? `${entry.name}/` : entry.name;
+      items.push({
+        value: quoteWord(dir + name, quote, !isDirectory),
+        display: name,
+        type: isDirectory ? "directory" : "file",
+      });
+    }
+    return items.sort((a, b) => a.display!.localeCompare(b.display!));
+  };
+}
+
+/**
+ * Replace a leading `~` with the home directory
+ * @param path - The path to expand
+ * @returns The expanded path
+ */
+function expandHome(path: string): string {
+  return path === "~" || path.startsWith("~/") ? homedir() + path.slice(1) : path;
+}
+
+/**
+ * Check whether a path, following symbolic links, is a directory
+ * @param path - The path to check
+ * @returns Whether the path is a directory
+ */
+async function isDirectoryPath(path: string): Promise<boolean> {
+  try {
+    return (await fsExtra.stat(path)).isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,145 @@
+import {describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {commandCompleter, commandHelp, getCompletionContext} from "../index.ts";
+
+const commands = [
+ {
+  name: "deploy",
+  description: "Deploy the app",
+  args: [{name: "env", description: "Target environment", values: ["staging", "production"]}],
+  flags: [
+   {
+    name: "region",
+    short: "r",
+    description: "Region to deploy to",
+    value: {name: "r", values: ["eu-west-1", "us-east-1"]},
+   },
+   {name: "dry-run", short: "n", description: "Only print the changes"},
+  ],
+ },
+ {
+  name: "db",
+  aliases: ["database"],
+  description: "Database commands",
+  subcommands: [
+   {name: "migrate", description: "Run migrations", args: [{name: "version", optional: true}]},
+   {
+    name: "seed",
+    description: "Load fixtures",
+    args: [{name: "files", variadic: true, completer: () => ["users.json"]}],
+   },
+  ],
+ },
+];
+
+describe("Command Tree", () => {
+ const completer = commandCompleter(commands);
+ const values = async (line) => (await completer(getCompletionContext(line))).map(({value}) => value);
+
+ describe("commandCompleter", () => {
+  it("should complete commands and subcommands", async () => {
+   expect(await values("")).toEqual(["deploy", "db"]);
+   expect(await values("de")).toEqual(["deploy"]);
+   expect(await values("db ")).toEqual(["migrate", "seed"]);
+   expect(await values("database s")).toEqual(["seed"]);
+  });
+
+  it("should complete positional arguments from their values and completers", async () => {
+   expect(await values("deploy ")).toEqual(["staging", "production"]);
+   expect(await values("deploy p")).toEqual(["production"]);
+   expect(await values("deploy \"p")).toEqual(["\"production\""]);
+   expect(await values("db seed a.json ")).toEqual(["users.json"]);
+  });
+
+  it("should quote values the way the word was started", async () => {
+   const open = commandCompleter([{name: "open", args: [{name: "file", values: ["my file.txt", "it's.md"]}]}]);
+   const complete = async (line) => (await open(getCompletionContext(line))).map(({value}) => value);
+   expect(await complete("open \"my")).toEqual(["\"my file.txt\""]);
+   expect(await complete("open 'my")).toEqual(["'my file.txt'"]);
+   expect(await complete("open my\\ ")).toEqual(["my\\ file.txt"]);
+   expect(await complete("open i")).toEqual(["it\\'s.md"]);
+  });
+
+  it("should complete the flags that were not used yet", async () => {
+   expect(await values("deploy production ")).toEqual(["--region", "--dry-run"]);
+   expect(await values("deploy production -")).toEqual(["--region", "-r", "--dry-run", "-n"]);
+   expect(await values("deploy production -n --")).toEqual(["--region"]);
+   expect(await values("deploy production --region eu-west-1 ")).toEqual(["--dry-run"]);
+  });
+
+  it("should complete flag values", async () => {
+   expect(await values("deploy production --region ")).toEqual(["eu-west-1", "us-east-1"]);
+   expect(await values("deploy production -r u")).toEqual(["us-east-1"]);
+   expect(await values("deploy production --region=e")).toEqual(["--region=eu-west-1"]);
+  });
+
+  it("should describe and group the candidates", async () => {
+   expect(await completer(getCompletionContext("deploy production --d"))).toEqual([
+    {value: "--dry-run", description: "Only print the changes", group: "flags", type: "flag"},
+   ]);
+  });
+ });
+
+ describe("commandHelp", () => {
+  it("should list the top-level commands", () => {
+   expect(commandHelp(commands)).toBe("deploy  Deploy the app\ndb      Database commands");
+  });
+
+  it("should show the usage of a command", () => {
+   expect(commandHelp(commands, "deploy")).toBe([
+    "Usage: deploy <env> [-r, --region <r>] [-n, --dry-run]",
+    "",
+    "Deploy the app",
+    "",
+    "Arguments:",
+    "  env  Target environment",
+    "",
+    "Flags:",
+    "  -r, --region <r>  Region to deploy to",
+    "  -n, --dry-run     Only print the changes",
+   ].join("\n"));
+   expect(commandHelp(commands, "db")).toContain("Usage: db <command>");
+   expect(commandHelp(commands, "db seed")).toContain("Usage: db seed <files...>");
+  });
+ });
+
+ it("should complete a command tree in the prompt", async () => {
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   completer,
+  });
+
+  events.type("deploy production ");
+  events.keypress("tab");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(getScreen()).toBe("? > deploy production --");
+
+  events.keypress("tab");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(getScreen()).toContain("flags\n--region   Region to deploy to\n--dry-run  Only print the changes");
+
+  events.type("r");
+  events.keypress("tab");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(getScreen()).toContain("deploy production --region");
+
+  events.keypress("enter");
+  expect(await answer).toBe("deploy production --region");
+ });
+
+ it("should keep the quote of a completed value in the parsed command", async () => {
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   completer: commandCompleter([{name: "open", args: [{name: "file", values: ["my file.txt"]}]}]),
+   parse: true,
+  });
+
+  events.type("open \"my");
+  events.keypress("tab");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(getScreen()).toBe("? > open \"my file.txt\"");
+
+  events.keypress("enter");
+  expect((await answer).argv).toEqual(["open", "my file.txt"]);
+ });
+});
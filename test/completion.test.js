@@ -0,0 +1,436 @@
+import {describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {applyCompletion, getCompletionContext, longestCommonPrefix, matchers} from "../index.ts";
+
+describe("Completion", () => {
+ describe("getCompletionContext", () => {
+  it("should find the word under the cursor", () => {
+   expect(getCompletionContext("git che main", 7)).toEqual({
+    line: "git che main",
+    cursor: 7,
+    wordStart: 4,
+    wordEnd: 7,
+    word: "che",
+    argv: ["git", "che", "main"],
+    wordIndex: 1,
+   });
+   expect(getCompletionContext("git che main", 5)).toMatchObject({wordStart: 4, wordEnd: 7});
+  });
+
+  it("should default the cursor to the end of the line", () => {
+   expect(getCompletionContext("npm r")).toMatchObject({cursor: 5, wordStart: 4, wordEnd: 5, word: "r"});
+  });
+
+  it("should return an empty word after a space", () => {
+   expect(getCompletionContext("npm ")).toMatchObject({wordStart: 4, wordEnd: 4, word: "", argv: ["npm", ""], wordIndex: 1});
+   expect(getCompletionContext("npm  test", 4)).toMatchObject({word: "", argv: ["npm", "", "test"], wordIndex: 1});
+  });
+
+  it("should pass the unquoted words to completers", () => {
+   expect(getCompletionContext("cat \"my file.txt\" b\\ c")).toMatchObject({
+    word: "b\\ c",
+    argv: ["cat", "my file.txt", "b c"],
+    wordIndex: 2,
+   });
+  });
+ });
+
+ describe("applyCompletion", () => {
+  it("should replace the range and place the cursor after the insertion", () => {
+   expect(applyCompletion("git che main", 4, 7, "checkout")).toEqual({
+    line: "git checkout main",
+    cursor: 12,
+   });
+  });
+ });
+
+ describe("longestCommonPrefix", () => {
+  it("should return the prefix shared by all candidates", () => {
+   expect(longestCommonPrefix(["npm run build", "npm run dev"])).toBe("npm run ");
+   expect(longestCommonPrefix(["foo", "bar"])).toBe("");
+   expect(longestCommonPrefix(["only"])).toBe("only");
+   expect(longestCommonPrefix([])).toBe("");
+  });
+ });
+
+ describe("matchers", () => {
+  it("should match prefixes and substrings", () => {
+   expect(matchers.prefix("git c", "git commit")).toEqual({score: 0, positions: [0, 1, 2, 3, 4]});
+   expect(matchers.prefix("commit", "git commit")).toBeNull();
+   expect(matchers.substring("com", "git commit")).toEqual({score: -4, positions: [4, 5, 6]});
+   expect(matchers.substring("push", "git commit")).toBeNull();
+  });
+
+  it("should match characters in order and prefer word starts", () => {
+   expect(matchers.fuzzy("gcm", "git commit -m").positions).toEqual([0, 4, 12]);
+   expect(matchers.fuzzy("GCM", "git commit -m")).not.toBeNull();
+   expect(matchers.fuzzy("gmc", "git commit")).toBeNull();
+   expect(matchers.fuzzy("gcm", "git commit -m").score).toBeGreaterThan(matchers.fuzzy("gcm", "grep cm").score);
+  });
+ });
+
+ describe("Prompt integration", () => {
+  it("should complete the word under the cursor with a completer", async () => {
+   const contexts = [];
+   const completer = (context) => {
+    contexts.push(context);
+    return ["checkout", "cherry-pick", "commit"].filter((cmd) => cmd.startsWith(context.word.slice(0, 4)));
+   };
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer,
+   });
+
+   events.type("git chec main");
+   for (let i = 0; i < 5; i++) {
+    events.keypress("left");
+   }
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+
+   expect(contexts[0]).toMatchObject({line: "git chec main", cursor: 8, wordStart: 4, wordEnd: 8});
+   expect(getScreen()).toContain("git checkout main");
+
+   events.type("X");
+   events.keypress("enter");
+   expect(await answer).toBe("git checkoutX main");
+  });
+
+  it("should list the candidates for the word under the cursor", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: ({word}) => ["build", "bundle", "test"].filter((cmd) => cmd.startsWith(word)),
+   });
+
+   events.type("npm run b");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("npm run bu");
+   expect(getScreen()).not.toContain("bundle");
+
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+
+   const screen = getScreen();
+   expect(screen).toContain("build");
+   expect(screen).toContain("bundle");
+   expect(screen).not.toContain("test");
+
+   events.keypress("enter");
+   expect(await answer).toBe("npm run bu");
+  });
+
+  it("should extend the line to the longest common prefix before listing", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["npm run build", "npm run dev", "npm test"],
+   });
+
+   events.type("npm r");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("npm run");
+   expect(getScreen()).not.toContain("Available commands");
+
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("Available commands");
+
+   events.type("dev");
+   events.keypress("enter");
+   expect(await answer).toBe("npm run dev");
+  });
+
+  it("should list immediately when the prefix cannot be extended", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["foo", "fizz"],
+   });
+
+   events.type("f");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("Available commands");
+
+   events.keypress("enter");
+   expect(await answer).toBe("f");
+  });
+
+  it("should show the error of a failing completer", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: async () => {
+     throw new Error("Completion service unavailable");
+    },
+   });
+
+   events.type("gi");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > gi\n> Completion service unavailable");
+
+   events.keypress("enter");
+   expect(await answer).toBe("gi");
+  });
+
+  it("should cycle through candidates with Tab and Shift+Tab", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: ({word}) => ["build", "bundle", "bump"].filter((cmd) => cmd.startsWith(word)),
+    completionMode: "cycle",
+   });
+
+   events.type("npm run b");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > npm run build");
+
+   events.keypress("tab");
+   expect(getScreen()).toBe("? > npm run bundle");
+
+   events.keypress("tab");
+   events.keypress("tab");
+   expect(getScreen()).toBe("? > npm run build");
+
+   events.keypress({name: "tab", shift: true});
+   expect(getScreen()).toBe("? > npm run bump");
+
+   events.keypress("enter");
+   expect(await answer).toBe("npm run bump");
+  });
+
+  it("should restore the original line when cycling is cancelled", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["foo", "fizz"],
+    completionMode: "cycle",
+   });
+
+   events.type("f");
+   events.keypress({name: "tab", shift: true});
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > fizz");
+
+   events.keypress("escape");
+   expect(getScreen()).toBe("? > f");
+
+   events.keypress("enter");
+   expect(await answer).toBe("f");
+  });
+
+  it("should highlight the selected candidate in menu mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["foo", "fizz"],
+    completionMode: "menu",
+    theme: {style: {highlight: (text) => `[${text}]`}},
+   });
+
+   events.type("f");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("Available commands");
+   expect(getScreen()).toContain("[foo]");
+
+   events.keypress("tab");
+   expect(getScreen()).toContain("[fizz]");
+   expect(getScreen()).toContain("? > fizz");
+
+   events.keypress("enter");
+   expect(await answer).toBe("fizz");
+  });
+
+  it("should suggest the first completion inline when autosuggest is completion", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: async ({word}) => ["deploy", "describe"].filter((cmd) => cmd.startsWith(word)),
+    autosuggest: "completion",
+   });
+
+   events.type("kubectl de");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > kubectl deploy");
+
+   events.keypress("end");
+   events.keypress("enter");
+   expect(await answer).toBe("kubectl deploy");
+  });
+
+  it("should update the live completion menu while typing and insert the highlighted candidate", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["npm run build", "npm run dev", "npm test"],
+    liveCompletion: true,
+    liveCompletionDelay: 0,
+   });
+
+   events.type("npm r");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("npm run build");
+   expect(getScreen()).toContain("npm run dev");
+   expect(getScreen()).not.toContain("npm test");
+
+   events.type("un d");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).not.toContain("npm run build");
+
+   events.keypress("down");
+   expect(getScreen()).toContain("❯ npm run dev");
+
+   events.keypress("enter");
+   expect(getScreen()).toBe("? > npm run dev");
+
+   events.keypress("enter");
+   expect(await answer).toBe("npm run dev");
+  });
+
+  it("should insert the first live candidate with Tab and close the menu with Esc", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: ({word}) => ["build", "bundle"].filter((cmd) => cmd.startsWith(word)),
+    liveCompletion: true,
+    liveCompletionDelay: 0,
+   });
+
+   events.type("npm run b");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   events.keypress("escape");
+   expect(getScreen()).toBe("? > npm run b");
+
+   events.type("u");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("bundle");
+
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > npm run build");
+
+   events.keypress("enter");
+   expect(await answer).toBe("npm run build");
+  });
+
+  it("should debounce live completion and abort stale lookups", async () => {
+   const calls = [];
+   const completer = async ({word, signal}) => {
+    calls.push({word, signal});
+    await new Promise((resolve) => setTimeout(resolve, word === "d" ? 40 : 0));
+    return ["deploy", "describe", "delete"].filter((cmd) => cmd.startsWith(word));
+   };
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer,
+    liveCompletion: true,
+    liveCompletionDelay: 20,
+   });
+
+   events.type("kubectl ");
+   events.type("d");
+   await new Promise((resolve) => setTimeout(resolve, 30));
+   expect(calls.map(({word}) => word)).toEqual(["d"]);
+
+   // The slow lookup for "d" finishes after the one for "des" and must not replace it
+   events.type("es");
+   await new Promise((resolve) => setTimeout(resolve, 80));
+   expect(calls.map(({word}) => word)).toEqual(["d", "des"]);
+   expect(calls[0].signal.aborted).toBe(true);
+   expect(getScreen()).toContain("describe");
+   expect(getScreen()).not.toContain("deploy");
+
+   events.keypress("enter");
+   expect(await answer).toBe("kubectl des");
+  });
+
+  it("should list rich candidates with descriptions under their group", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: ({word}) => [
+     {value: "deploy", description: "Deploy the app", group: "commands"},
+     {value: "describe", description: "Describe a resource", group: "commands"},
+     {value: "deploy.yaml", group: "files", type: "file"},
+    ].filter(({value}) => value.startsWith(word)),
+   });
+
+   events.type("kubectl de");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+
+   const screen = getScreen();
+   expect(screen).toContain("commands\ndeploy    Deploy the app\ndescribe  Describe a resource\nfiles\ndeploy.yaml");
+
+   events.type("s");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("kubectl describe");
+
+   events.keypress("enter");
+   expect(await answer).toBe("kubectl describe");
+  });
+
+  it("should show the display text and insert the value", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: [
+     {value: "git checkout", display: "checkout (switch branches)"},
+     {value: "git cherry-pick", display: "cherry-pick (apply commits)"},
+    ],
+   });
+
+   events.type("git che");
+   events.keypress("tab");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("checkout (switch branches)");
+   expect(getScreen()).toContain("cherry-pick (apply commits)");
+
+   events.type("c");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   events.keypress("enter");
+   expect(await answer).toBe("git checkout");
+  });
+
+  it("should rank fuzzy matches and highlight the matched characters", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    autoCompletion: ["grep cm", "git checkout main", "git commit -m", "npm test"],
+    matcher: "fuzzy",
+    theme: {style: {highlight: (text) => `[${text}]`}},
+   });
+
+   events.type("gcm");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   const screen = getScreen();
+   expect(screen).toMatch(/\[g\]it \[c\]ommit -\[m\]\s+\[g\]it \[c\]heckout \[m\]ain\s+\[g\]rep \[cm\]/);
+   expect(screen).not.toContain("npm test");
+
+   events.keypress("backspace");
+   events.keypress("backspace");
+   events.type("-m");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("git commit -m");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git commit -m");
+  });
+
+  it("should filter completer results with a custom matcher", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: () => ["checkout", "commit", "cherry-pick"],
+    matcher: (query, candidate) => (candidate.endsWith(query) ? {score: 0} : null),
+   });
+
+   events.type("git mit");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > git commit");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git commit");
+  });
+ });
+});
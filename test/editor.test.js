@@ -0,0 +1,348 @@
+import {afterAll, afterEach, beforeAll, describe, expect, it, vi} from "vitest";
+import {tmpdir} from "node:os";
+import {resolve as pathResolve} from "node:path";
+import {stripVTControlCharacters} from "node:util";
+import {render} from "@inquirer/testing";
+import fsExtra from "fs-extra";
+import commandPrompt, {EphemeralHistory} from "../index.ts";
+import {
+ deleteBackward,
+ deleteForward,
+ deleteTo,
+ editExternally,
+ insertText,
+ KillRing,
+ moveLeft,
+ moveRight,
+ moveVertically,
+ splitLine,
+ wordBoundary,
+} from "../editor.ts";
+
+describe("Multi-line Editor", () => {
+ describe("editing operations", () => {
+  const buffer = {lines: ["echo one", "two", "three"], row: 1, col: 1};
+
+  it("should split and join lines", () => {
+   expect(splitLine(buffer)).toEqual({lines: ["echo one", "t", "wo", "three"], row: 2, col: 0});
+   expect(deleteBackward({...buffer, col: 0})).toEqual({lines: ["echo onetwo", "three"], row: 0, col: 8});
+   expect(deleteForward({...buffer, col: 3})).toEqual({lines: ["echo one", "twothree"], row: 1, col: 3});
+   const start = {...buffer, row: 0, col: 0};
+   expect(deleteBackward(start)).toBe(start);
+  });
+
+  it("should insert text with newlines as lines", () => {
+   expect(insertText(buffer, "a\nb\r\nc")).toEqual({lines: ["echo one", "ta", "b", "cwo", "three"], row: 3, col: 1});
+  });
+
+  it("should move the cursor across lines", () => {
+   expect(moveLeft({...buffer, col: 0})).toEqual({...buffer, row: 0, col: 8});
+   expect(moveRight({...buffer, col: 3})).toEqual({...buffer, row: 2, col: 0});
+   expect(moveVertically({...buffer, col: 3}, 1)).toEqual({...buffer, row: 2, col: 3});
+   expect(moveVertically({...buffer, row: 0, col: 7}, 1)).toEqual({...buffer, row: 1, col: 3});
+   const first = {...buffer, row: 0};
+   expect(moveVertically(first, -1)).toBe(first);
+  });
+ });
+
+ describe("word editing", () => {
+  it("should find word boundaries across punctuation", () => {
+   expect(wordBoundary("git commit --amend", 18, -1)).toBe(13);
+   expect(wordBoundary("git commit --amend", 10, -1)).toBe(4);
+   expect(wordBoundary("git commit --amend", 3, 1)).toBe(10);
+   expect(deleteTo({lines: ["git commit"], row: 0, col: 10}, 4)).toEqual({lines: ["git "], row: 0, col: 4});
+  });
+ });
+
+ describe("KillRing", () => {
+  it("should yank the most recent kill and rotate through older ones", () => {
+   const ring = new KillRing(2);
+   expect(ring.current()).toBeUndefined();
+   ring.push("one");
+   ring.push("two");
+   ring.push("three");
+   expect(ring.current()).toBe("three");
+   expect(ring.rotate()).toBe("two");
+   expect(ring.rotate()).toBe("three");
+  });
+
+  it("should extend the most recent kill", () => {
+   const ring = new KillRing();
+   ring.push("two");
+   ring.push("one ", "prepend");
+   ring.push(" three", "append");
+   expect(ring.current()).toBe("one two three");
+  });
+ });
+
+ describe("prompt", () => {
+  it("should split a line at the cursor and move between lines", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    continuation: true,
+   });
+
+   events.type("echo (ab");
+   events.keypress("left");
+   events.keypress("enter");
+   expect(getScreen()).toBe("? > echo (a\n... b");
+   expect(getScreen({raw: true})).toMatch(/\x1b\[5G$/);
+
+   events.keypress("up");
+   events.type("x ");
+   expect(getScreen()).toBe("? > x echo (a\n... b");
+
+   events.keypress("end");
+   events.keypress("right");
+   events.type(")");
+   expect(getScreen()).toBe("? > x echo (a\n... )b");
+
+   events.keypress("enter");
+   expect(await answer).toBe("x echo (a\n)b");
+  });
+
+  it("should join lines with Backspace and Delete", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    continuation: true,
+   });
+
+   events.type("(a");
+   events.keypress("enter");
+   events.type("b");
+   events.keypress("enter");
+   events.type("c)");
+   events.keypress("up");
+   events.keypress("home");
+   events.keypress("backspace");
+   expect(getScreen()).toBe("? > (ab\n... c)");
+
+   events.keypress("end");
+   events.keypress("delete");
+   expect(getScreen()).toBe("? > (abc)");
+
+   events.keypress("enter");
+   expect(await answer).toBe("(abc)");
+  });
+
+  it("should keep the cursor in the text in multi-line mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+   });
+
+   events.keypress({name: "m", meta: true});
+   events.type("one");
+   events.keypress("enter");
+   events.type("two");
+   events.keypress("up");
+   events.keypress("up");
+   events.keypress("left");
+   events.keypress("enter");
+   expect(getScreen()).toContain("? > on\ne\ntwo");
+
+   events.keypress({name: "return", meta: true});
+   expect(await answer).toBe("on\ne\ntwo");
+  });
+
+  it("should keep the lines of pasted text", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+   });
+
+   events.type("\x1b[200~echo one\r\necho two\x1b[201~");
+   expect(getScreen()).toBe("? > echo one\necho two");
+
+   events.keypress("enter");
+   expect(await answer).toBe("echo one\necho two");
+  });
+
+  it("should navigate the history past the first and last lines", async () => {
+   const history = new EphemeralHistory(["first", "a\nb"]);
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler: history,
+   });
+
+   events.keypress("up");
+   expect(getScreen()).toBe("? > a\nb");
+
+   events.keypress("up");
+   events.type("!");
+   expect(getScreen()).toBe("? > a!\nb");
+
+   events.keypress("up");
+   expect(getScreen()).toBe("? > first");
+
+   events.keypress("enter");
+   expect(await answer).toBe("first");
+  });
+
+  it("should kill text and yank it back", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {message: ">"});
+
+   events.type("echo one two");
+   events.keypress({name: "w", ctrl: true});
+   events.keypress({name: "w", ctrl: true});
+   expect(getScreen()).toBe("? > echo");
+
+   events.keypress({name: "a", ctrl: true});
+   events.keypress({name: "k", ctrl: true});
+   events.keypress({name: "y", ctrl: true});
+   expect(getScreen()).toBe("? > echo");
+
+   events.keypress({name: "y", meta: true});
+   expect(getScreen()).toBe("? > one two");
+
+   events.keypress("enter");
+   expect(await answer).toBe("one two");
+  });
+
+  it("should undo and redo edits, history recall and completion included", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler: new EphemeralHistory(["old"]),
+    autoCompletion: ["status"],
+   });
+   const undo = () => events.keypress({sequence: "\x1f"});
+
+   events.type("draft");
+   events.keypress("up");
+   expect(getScreen()).toBe("? > old");
+
+   undo();
+   expect(getScreen()).toBe("? > draft");
+
+   events.keypress({sequence: "\x1b_", meta: true});
+   expect(getScreen()).toBe("? > old");
+
+   undo();
+   events.type(" more");
+   events.keypress("backspace");
+   undo();
+   expect(getScreen()).toBe("? > draft more");
+
+   undo();
+   expect(getScreen()).toBe("? > draft");
+
+   events.keypress({name: "u", ctrl: true});
+   events.type("st");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > status");
+
+   events.keypress({name: "z", ctrl: true});
+   expect(getScreen()).toBe("? > st");
+
+   events.keypress("enter");
+   expect(await answer).toBe("st");
+  });
+ });
+ describe("external editor", () => {
+  const folder = pathResolve(tmpdir(), `command-prompt-editor-${process.pid}`);
+  // The stub editor appends the line it is given to the file, fails with --fail, or takes its time with --slow
+  const stub = pathResolve(folder, "editor.mjs");
+  const started = pathResolve(folder, "started");
+  const appending = (line) => `node "${stub}" "${line}"`;
+  const {VISUAL} = process.env;
+
+  beforeAll(async () => {
+   await fsExtra.outputFile(stub, [
+    "import {appendFileSync, writeFileSync} from \"node:fs\";",
+    "const [line, file] = process.argv.slice(2);",
+    "if (line === \"--fail\") process.exit(3);",
+    "if (line === \"--slow\") {",
+    " writeFileSync(new URL(\"started\", import.meta.url), \"\");",
+    " await new Promise((resolve) => setTimeout(resolve, 1000));",
+    "}",
+    "appendFileSync(file, `${line}\\n`);",
+   ].join("\n"));
+  });
+
+  afterEach(() => {
+   if (VISUAL === undefined) {
+    delete process.env.VISUAL;
+   } else {
+    process.env.VISUAL = VISUAL;
+   }
+  });
+
+  afterAll(async () => {
+   await fsExtra.remove(folder);
+  });
+
+  it("should edit text in the editor through a temporary file", async () => {
+   expect(await editExternally("a\nb", appending("c"))).toBe("a\nb\nc");
+   await expect(editExternally("a", appending("--fail"))).rejects.toThrow("The editor exited with code 3");
+  });
+
+  it("should load the edited input back in multi-line mode with Ctrl+X Ctrl+E", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {message: ">", editor: appending("FROM users")});
+
+   events.type("SELECT *");
+   events.keypress({name: "x", ctrl: true});
+   events.keypress({name: "e", ctrl: true});
+   await vi.waitFor(() => expect(getScreen()).toContain("FROM users"));
+   expect(getScreen()).toBe(
+    "? > SELECT *\nFROM users\nMulti-line mode enabled. Press Meta+Enter to submit, Enter for new line.",
+   );
+
+   events.type(" WHERE id = 1");
+   events.keypress({name: "enter", meta: true});
+   expect(await answer).toBe("SELECT *\nFROM users WHERE id = 1");
+  });
+
+  it("should draw nothing while the editor runs", async () => {
+   const {answer, events, getScreen, getFullOutput} = await render(commandPrompt, {
+    message: ">",
+    editor: appending("--slow"),
+    validate: (value) => value.includes("\n") || "Single line",
+    validateOnType: true,
+    validateOnTypeDelay: 50,
+   });
+
+   events.type("sel");
+   events.keypress({name: "x", ctrl: true});
+   events.keypress({name: "e", ctrl: true});
+   await vi.waitFor(() => expect(fsExtra.pathExistsSync(started)).toBe(true));
+   // The prompt is cleared before the editor starts
+   expect(stripVTControlCharacters(getScreen({raw: true})).trim()).toBe("");
+   const output = await getFullOutput({raw: true});
+
+   // Neither a spinner nor the pending validation draws over the editor
+   await new Promise((resolve) => setTimeout(resolve, 200));
+   expect(await getFullOutput({raw: true})).toBe(output);
+
+   await vi.waitFor(() => expect(getScreen()).toContain("--slow"), {timeout: 3000});
+   expect(getScreen()).toMatch(/^\? > sel\n--slow\n/);
+   events.keypress({name: "enter", meta: true});
+   expect(await answer).toBe("sel\n--slow");
+  });
+
+  it("should submit the edited input when submitFromEditor is set", async () => {
+   process.env.VISUAL = appending("--force");
+   const {answer, events} = await render(commandPrompt, {message: ">", submitFromEditor: true});
+
+   events.type("git push");
+   events.keypress({name: "x", ctrl: true});
+   events.keypress({name: "e", ctrl: true});
+   expect(await answer).toBe("git push\n--force");
+  });
+
+  it("should keep the input when the editor fails", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    editMode: "vi",
+    editor: appending("--fail"),
+   });
+
+   events.type("ls");
+   events.keypress("escape");
+   events.keypress("v");
+   await vi.waitFor(() => expect(getScreen()).toContain("exited"));
+   expect(getScreen()).toBe("? [N] > ls\n> The editor exited with code 3");
+
+   events.keypress("enter");
+   expect(await answer).toBe("ls");
+  });
+ });
+});
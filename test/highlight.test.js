@@ -0,0 +1,67 @@
+import {describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {classifyTokens, defaultHighlighter} from "../index.ts";
+import {applyHighlight} from "../highlight.ts";
+
+const red = (text) => `\x1b[31m${text}\x1b[39m`;
+
+describe("Highlighting", () => {
+ describe("classifyTokens", () => {
+  it("should find the kind of each word", () => {
+   expect(classifyTokens("cp -r \"my dir\" ./out plain").map(({type, text}) => [type, text])).toEqual([
+    ["command", "cp"],
+    ["flag", "-r"],
+    ["string", "\"my dir\""],
+    ["path", "./out"],
+    ["argument", "plain"],
+   ]);
+  });
+
+  it("should mark commands the completion source does not know", () => {
+   const known = {git: true, gti: false};
+   expect(classifyTokens("gti status", (command) => known[command])[0].type).toBe("unknown-command");
+   expect(classifyTokens("git status", (command) => known[command])[0].type).toBe("command");
+   expect(classifyTokens("ls", (command) => known[command])[0].type).toBe("command");
+  });
+ });
+
+ describe("applyHighlight", () => {
+  it("should style ranges line by line", () => {
+   expect(applyHighlight("echo 'a\nb' c", [{start: 5, end: 10, style: red}])).toBe(`echo ${red("'a")}\n${red("b'")} c`);
+   expect(defaultHighlighter(classifyTokens("ls -l"))).toMatchObject([{start: 0, end: 2}, {start: 3, end: 5}]);
+  });
+
+  it("should ignore styles changing the visible text", () => {
+   expect(applyHighlight("ls", [{start: 0, end: 2, style: (text) => `[${text}]`}])).toBe("ls");
+  });
+ });
+
+ it("should highlight the line in the prompt from the completion source", async () => {
+  const highlighted = [];
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   completer: ({wordIndex}) => (wordIndex === 0 ? ["git", "grep"] : []),
+   highlight: (tokens) => {
+    highlighted.push(tokens.map(({type}) => type).join(" "));
+    return tokens.filter(({type}) => type === "unknown-command").map(({start, end}) => ({start, end, style: red}));
+   },
+  });
+
+  events.type("gti --help");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(highlighted.at(-1)).toBe("unknown-command flag");
+  expect(getScreen({raw: true})).toContain(`> ${red("gti")} --help\x1b[15G`);
+
+  events.keypress("home");
+  events.keypress("delete");
+  events.keypress("delete");
+  events.keypress("delete");
+  events.type("git");
+  await new Promise((resolve) => setTimeout(resolve, 10));
+  expect(highlighted.at(-1)).toBe("command flag");
+  expect(getScreen()).toBe("? > git --help");
+
+  events.keypress("enter");
+  expect(await answer).toBe("git --help");
+ });
+});
@@ -0,0 +1,624 @@
+import {afterEach, beforeEach, describe, expect, it} from "vitest";
+import {tmpdir} from "node:os";
+import {resolve as pathResolve} from "node:path";
+import {render} from "@inquirer/testing";
+import fsExtra from "fs-extra";
+import commandPrompt, {EphemeralHistory, FileBackedHistory} from "../index.ts";
+import {expandHistory} from "../history.ts";
+
+describe("History Handlers", () => {
+ describe("EphemeralHistory", () => {
+  it("should navigate entries from newest to oldest and back", () => {
+   const history = new EphemeralHistory(["first", "second"]);
+
+   expect(history.getPrevious()).toBe("second");
+   expect(history.getPrevious()).toBe("first");
+   expect(history.getPrevious()).toBeUndefined();
+   expect(history.getNext()).toBe("second");
+   expect(history.getNext()).toBe("");
+   expect(history.getNext()).toBeUndefined();
+  });
+
+  it("should reset the cursor on init and add", () => {
+   const history = new EphemeralHistory();
+   history.add("first");
+   history.add("second");
+
+   history.getPrevious();
+   history.getPrevious();
+   history.init();
+   expect(history.getPrevious()).toBe("second");
+
+   history.add("third");
+   expect(history.getPrevious()).toBe("third");
+   expect(history.getAll()).toEqual(["first", "second", "third"]);
+  });
+
+  it("should keep separate entries and cursors per context", () => {
+   const history = new EphemeralHistory(["default_command"]);
+   history.add("db", "select 1");
+   history.add("deploy", "deploy prod");
+
+   expect(history.getAll()).toEqual(["default_command"]);
+   expect(history.getAll("db")).toEqual(["select 1"]);
+   expect(history.getPrevious("deploy")).toBe("deploy prod");
+   expect(history.getPrevious("db")).toBe("select 1");
+   expect(history.getPrevious("unknown")).toBeUndefined();
+  });
+
+  it("should keep only the last entries up to the limit", () => {
+   const history = new EphemeralHistory(["one", "two", "three"], {limit: 2});
+   expect(history.getAll()).toEqual(["two", "three"]);
+
+   history.add("four");
+   expect(history.getAll()).toEqual(["three", "four"]);
+  });
+
+  it("should not record blacklisted entries", () => {
+   const history = new EphemeralHistory([], {blacklist: ["exit", /^quit\b/]});
+   history.add("exit");
+   history.add(" exit ");
+   history.add("quit now");
+   history.add("status");
+
+   expect(history.getAll()).toEqual(["status"]);
+  });
+
+  it("should ignore consecutive duplicates", () => {
+   const history = new EphemeralHistory([], {ignoreDuplicates: true});
+   history.add("status");
+   history.add("status");
+   history.add("ls");
+   history.add("status");
+
+   expect(history.getAll()).toEqual(["status", "ls", "status"]);
+  });
+
+  it("should ignore entries starting with a space", () => {
+   const history = new EphemeralHistory([], {ignoreSpace: true});
+   history.add(" secret --token abc");
+   history.add("status");
+
+   expect(history.getAll()).toEqual(["status"]);
+  });
+
+  it("should erase older duplicates", () => {
+   const history = new EphemeralHistory(["status", "ls"], {eraseDuplicates: true});
+   history.add("status");
+
+   expect(history.getAll()).toEqual(["ls", "status"]);
+   expect(history.getPrevious()).toBe("status");
+  });
+
+  it("should not mutate the initial entries", () => {
+   const entries = ["first"];
+   const history = new EphemeralHistory(entries);
+   history.add("second");
+
+   expect(entries).toEqual(["first"]);
+  });
+ });
+
+ describe("FileBackedHistory", () => {
+  const folder = pathResolve(tmpdir(), `command-prompt-history-${process.pid}`);
+  const fileName = "history.json";
+
+  beforeEach(async () => {
+   await fsExtra.remove(folder);
+  });
+
+  afterEach(async () => {
+   await fsExtra.remove(folder);
+  });
+
+  it("should persist entries when save is enabled", async () => {
+   const history = new FileBackedHistory({folder, fileName, save: true});
+   history.add("test_command");
+
+   expect(history.getAll()).toEqual(["test_command"]);
+   expect(history.getPrevious()).toBe("test_command");
+
+   const content = await fsExtra.readJson(pathResolve(folder, fileName));
+   expect(content.history).toEqual(["test_command"]);
+  });
+
+  it("should load previously saved entries", () => {
+   new FileBackedHistory({folder, fileName, save: true}).add("restored");
+
+   const history = new FileBackedHistory({folder, fileName});
+   expect(history.getAll()).toEqual(["restored"]);
+  });
+
+  it("should persist and restore named contexts", async () => {
+   const history = new FileBackedHistory({folder, fileName, save: true});
+   history.add("ls");
+   history.add("db", "select 1");
+
+   const content = await fsExtra.readJson(pathResolve(folder, fileName));
+   expect(content).toEqual({history: ["ls"], contexts: {db: ["select 1"]}});
+
+   const restored = new FileBackedHistory({folder, fileName});
+   expect(restored.getAll()).toEqual(["ls"]);
+   expect(restored.getAll("db")).toEqual(["select 1"]);
+  });
+
+  it("should not write the file when save is disabled", async () => {
+   const history = new FileBackedHistory({folder, fileName});
+   history.add("test_command");
+
+   expect(await fsExtra.pathExists(pathResolve(folder, fileName))).toBe(false);
+  });
+
+  it("should keep only the last entries up to the limit", () => {
+   const history = new FileBackedHistory({folder, fileName, save: true, limit: 2});
+   history.add("one");
+   history.add("two");
+   history.add("three");
+
+   expect(history.getAll()).toEqual(["two", "three"]);
+   expect(new FileBackedHistory({folder, fileName}).getAll()).toEqual(["two", "three"]);
+  });
+
+  it("should ignore a corrupt history file", async () => {
+   await fsExtra.outputFile(pathResolve(folder, fileName), "{not json");
+
+   const history = new FileBackedHistory({folder, fileName});
+   expect(history.getAll()).toEqual([]);
+  });
+
+  it("should keep working when the history file cannot be written", async () => {
+   await fsExtra.outputFile(pathResolve(folder, "file"), "");
+   const unwritable = pathResolve(folder, "file", "sub");
+
+   const history = new FileBackedHistory({folder: unwritable, fileName, save: true});
+   history.add("ls");
+   expect(history.getAll()).toEqual(["ls"]);
+
+   const {answer, events} = await render(commandPrompt, {message: ">", history: {folder: unwritable, save: true}});
+   events.type("pwd");
+   events.keypress("enter");
+   expect(await answer).toBe("pwd");
+  });
+ });
+
+ describe("expandHistory", () => {
+  const entries = ["git status", "ls -la", "git commit -m fix", "npm test"];
+
+  it("should expand event designators", () => {
+   expect(expandHistory("!!", entries)).toBe("npm test");
+   expect(expandHistory("sudo !!", entries)).toBe("sudo npm test");
+   expect(expandHistory("!-2", entries)).toBe("git commit -m fix");
+   expect(expandHistory("!1", entries)).toBe("ls -la");
+   expect(expandHistory("!git --amend", entries)).toBe("git commit -m fix --amend");
+  });
+
+  it("should apply quick substitution to the previous entry", () => {
+   expect(expandHistory("^test^run build", entries)).toBe("npm run build");
+   expect(expandHistory("^test^run^ --watch", entries)).toBe("npm run --watch");
+   expect(expandHistory("^test^$&$&", entries)).toBe("npm $&$&");
+   expect(expandHistory("^npm^$1", entries)).toBe("$1 test");
+  });
+
+  it("should leave quoted, escaped and bare exclamation marks untouched", () => {
+   expect(expandHistory("echo '!!'", entries)).toBe("echo '!!'");
+   expect(expandHistory("echo \\!!", entries)).toBe("echo !!");
+   expect(expandHistory("hello !", entries)).toBe("hello !");
+   expect(expandHistory("a != b", entries)).toBe("a != b");
+  });
+
+  it("should report missing events and failed substitutions", () => {
+   expect(() => expandHistory("!42", entries)).toThrow("!42: event not found");
+   expect(() => expandHistory("!docker", entries)).toThrow("!docker: event not found");
+   expect(() => expandHistory("!!", [])).toThrow("!!: event not found");
+   expect(() => expandHistory("^foo^bar", entries)).toThrow("^foo^bar: substitution failed");
+  });
+ });
+
+ describe("Prompt integration", () => {
+  it("should navigate a history handler with up and down arrows", async () => {
+   const historyHandler = new EphemeralHistory(["first_command", "second_command"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: "Enter command:",
+    historyHandler,
+   });
+
+   events.keypress("up");
+   expect(getScreen()).toContain("second_command");
+
+   events.keypress("up");
+   expect(getScreen()).toContain("first_command");
+
+   events.keypress("down");
+   expect(getScreen()).toContain("second_command");
+
+   events.keypress("enter");
+   expect(await answer).toBe("second_command");
+   expect(historyHandler.getAll()).toEqual(["first_command", "second_command", "second_command"]);
+  });
+
+  it("should list the handler entries with Shift+Right", async () => {
+   const historyHandler = new EphemeralHistory(["first_command", "second_command"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: "Enter command:",
+    historyHandler,
+   });
+
+   events.keypress({name: "right", shift: true});
+   const screen = getScreen();
+   expect(screen).toContain("History:");
+   expect(screen).toContain("first_command");
+   expect(screen).toContain("second_command");
+
+   events.type("new_command");
+   events.keypress("enter");
+   expect(await answer).toBe("new_command");
+  });
+
+  it("should load the highlighted entry from the history browser", async () => {
+   const historyHandler = new EphemeralHistory(["first_command", "second_command", "third_command"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.keypress({name: "right", shift: true});
+   expect(getScreen()).toContain("❯ 2  third_command");
+
+   events.keypress("up");
+   events.keypress("up");
+   expect(getScreen()).toContain("❯ 0  first_command");
+
+   events.keypress("enter");
+   expect(getScreen()).not.toContain("History:");
+
+   events.keypress("enter");
+   expect(await answer).toBe("first_command");
+  });
+
+  it("should filter the history browser with the typed text", async () => {
+   const historyHandler = new EphemeralHistory(["git status", "ls -la", "git commit"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.keypress({name: "right", shift: true});
+   events.type("git");
+   const screen = getScreen();
+   expect(screen).toContain("git status");
+   expect(screen).toContain("❯ 2  git commit");
+   expect(screen).not.toContain("ls -la");
+
+   events.keypress("up");
+   events.keypress("enter");
+   events.keypress("enter");
+   expect(await answer).toBe("git status");
+  });
+
+  it("should paginate long histories", async () => {
+   const entries = Array.from({length: 30}, (_, i) => `command_${i}`);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler: new EphemeralHistory(entries),
+    pageSize: 5,
+   });
+
+   events.keypress({name: "right", shift: true});
+   expect(getScreen()).toContain("command_29");
+   expect(getScreen()).not.toContain("command_20");
+
+   events.keypress("escape");
+   expect(getScreen()).not.toContain("History:");
+
+   events.type("done");
+   events.keypress("enter");
+   expect(await answer).toBe("done");
+  });
+
+  it("should remove the highlighted entry with Delete", async () => {
+   const historyHandler = new EphemeralHistory(["keep_me", "remove_me"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.keypress({name: "right", shift: true});
+   events.keypress("delete");
+   expect(getScreen()).not.toContain("remove_me");
+   expect(historyHandler.getAll()).toEqual(["keep_me"]);
+
+   events.keypress("escape");
+   events.type("done");
+   events.keypress("enter");
+   expect(await answer).toBe("done");
+  });
+
+  it("should recall an entry by number with !N", async () => {
+   const historyHandler = new EphemeralHistory(["first_command", "second_command"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.type("!0");
+   events.keypress("enter");
+   expect(getScreen()).toContain("first_command");
+
+   events.keypress("enter");
+   expect(await answer).toBe("first_command");
+  });
+
+  it("should expand history references on submit when enabled", async () => {
+   const historyHandler = new EphemeralHistory(["apt update"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+    historyExpansion: true,
+   });
+
+   events.type("sudo !!");
+   events.keypress("enter");
+   expect(await answer).toBe("sudo apt update");
+   expect(getScreen()).toContain("sudo apt update");
+   expect(historyHandler.getAll()).toEqual(["apt update", "sudo apt update"]);
+  });
+
+  it("should show expansion errors and keep the line", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler: new EphemeralHistory(),
+    historyExpansion: true,
+   });
+
+   events.type("!42");
+   events.keypress("enter");
+   expect(getScreen()).toContain("!42: event not found");
+
+   for (let i = 0; i < 3; i++) {
+    events.keypress("backspace");
+   }
+   events.type("ok");
+   events.keypress("enter");
+   expect(await answer).toBe("ok");
+  });
+
+  it("should show the most recent matching entry as an inline suggestion", async () => {
+   const historyHandler = new EphemeralHistory(["git status", "git stash"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+    autosuggest: true,
+   });
+
+   events.type("git st");
+   expect(getScreen()).toBe("? > git stash");
+   // The cursor stays after the typed text
+   expect(getScreen({raw: true})).toMatch(/\x1b\[11G$/);
+
+   events.type("at");
+   expect(getScreen()).toBe("? > git status");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git stat");
+  });
+
+  it("should accept the inline suggestion with Right and word by word with Alt+Right", async () => {
+   const historyHandler = new EphemeralHistory(["git commit -m fix"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+    autosuggest: "history",
+   });
+
+   events.type("git");
+   events.keypress({name: "right", meta: true});
+   expect(getScreen()).toBe("? > git commit -m fix");
+   expect(getScreen({raw: true})).toMatch(/\x1b\[15G$/);
+
+   events.keypress({name: "right"});
+   expect(getScreen({raw: true})).toMatch(/\x1b\[22G$/);
+
+   events.keypress("enter");
+   expect(await answer).toBe("git commit -m fix");
+  });
+
+  it("should accept a suggestion of spaces word by word", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler: new EphemeralHistory(["git "]),
+    autosuggest: "history",
+   });
+
+   events.type("git");
+   events.keypress({name: "right", meta: true});
+   expect(getScreen({raw: true})).toMatch(/\x1b\[9G$/);
+
+   events.keypress("enter");
+   expect(await answer).toBe("git ");
+  });
+
+  it("should record to custom handlers with the context first", async () => {
+   const recorded = [];
+   const historyHandler = {
+    init: () => {},
+    add: (context, value) => recorded.push([context, value]),
+    getPrevious: () => undefined,
+    getNext: () => undefined,
+    getAll: () => [],
+   };
+
+   const {answer, events} = await render(commandPrompt, {message: "db>", context: "db", historyHandler});
+   events.type("select 1");
+   events.keypress("enter");
+   expect(await answer).toBe("select 1");
+   expect(recorded).toEqual([["db", "select 1"]]);
+  });
+
+  it("should scope navigation and recording to the context", async () => {
+   const historyHandler = new EphemeralHistory(["default_command"]);
+   historyHandler.add("db", "select 1");
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: "db>",
+    context: "db",
+    historyHandler,
+   });
+
+   events.keypress("up");
+   expect(getScreen()).toContain("select 1");
+
+   events.keypress("up");
+   expect(getScreen()).toContain("select 1");
+   expect(getScreen()).not.toContain("default_command");
+
+   events.keypress({name: "right", shift: true});
+   expect(getScreen()).not.toContain("default_command");
+   events.keypress("escape");
+
+   events.keypress("enter");
+   expect(await answer).toBe("select 1");
+   expect(historyHandler.getAll("db")).toEqual(["select 1", "select 1"]);
+   expect(historyHandler.getAll()).toEqual(["default_command"]);
+  });
+
+  it("should restore the draft when navigating past the newest entry", async () => {
+   const historyHandler = new EphemeralHistory(["first_command"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.type("draft");
+   events.keypress("up");
+   expect(getScreen()).toContain("first_command");
+
+   events.keypress("down");
+   expect(getScreen()).toContain("draft");
+
+   events.keypress("enter");
+   expect(await answer).toBe("draft");
+  });
+
+  it("should only recall entries starting with the typed prefix", async () => {
+   const historyHandler = new EphemeralHistory(["git status", "ls -la", "git commit", "git commit", "npm test"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+    historySearchPrefix: true,
+   });
+
+   events.type("git ");
+   events.keypress("up");
+   expect(getScreen()).toContain("git commit");
+
+   events.keypress("up");
+   expect(getScreen()).toContain("git status");
+
+   events.keypress("up");
+   expect(getScreen()).toContain("git status");
+
+   events.keypress("down");
+   expect(getScreen()).toContain("git commit");
+
+   events.keypress("down");
+   expect(getScreen()).not.toContain("git commit");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git ");
+  });
+
+  it("should keep the typed prefix when no entry matches", async () => {
+   const historyHandler = new EphemeralHistory(["git status"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+    historySearchPrefix: true,
+   });
+
+   events.type("npm");
+   events.keypress("up");
+   expect(getScreen()).not.toContain("git status");
+
+   events.keypress("enter");
+   expect(await answer).toBe("npm");
+  });
+
+  it("should search history backwards with Ctrl+R", async () => {
+   const historyHandler = new EphemeralHistory(["git status", "ls -la", "git commit -m fix", "npm test"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.type("draft");
+   events.keypress({name: "r", ctrl: true});
+   expect(getScreen()).toContain("(reverse-i-search)`':");
+
+   events.type("git");
+   expect(getScreen()).toContain("(reverse-i-search)`git': git commit -m fix");
+
+   events.keypress({name: "r", ctrl: true});
+   expect(getScreen()).toContain("(reverse-i-search)`git': git status");
+
+   events.keypress("enter");
+   expect(getScreen()).not.toContain("reverse-i-search");
+   expect(getScreen()).toContain("git status");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git status");
+  });
+
+  it("should restore the original line when the search is cancelled", async () => {
+   const historyHandler = new EphemeralHistory(["git status"]);
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    historyHandler,
+   });
+
+   events.type("draft");
+   events.keypress({name: "r", ctrl: true});
+   events.type("xyz");
+   expect(getScreen()).toContain("(failed reverse-i-search)`xyz':");
+
+   events.keypress("backspace");
+   expect(getScreen()).toContain("(failed reverse-i-search)`xy':");
+
+   events.keypress("escape");
+   expect(getScreen()).not.toContain("reverse-i-search");
+
+   events.keypress("enter");
+   expect(await answer).toBe("draft");
+  });
+
+  it("should wrap a history array without mutating it", async () => {
+   const history = ["from_array"];
+
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: "Enter command:",
+    history,
+   });
+
+   events.keypress("up");
+   expect(getScreen()).toContain("from_array");
+
+   events.keypress("enter");
+   expect(await answer).toBe("from_array");
+   expect(history).toEqual(["from_array"]);
+  });
+ });
+});
@@ -0,0 +1,185 @@
+import {describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {EphemeralHistory, keyDescriptor} from "../index.ts";
+import {normalizeKeymap} from "../keymap.ts";
+
+describe("Keymap", () => {
+ describe("keyDescriptor", () => {
+  it("should write keys with their modifiers", () => {
+   expect(keyDescriptor({name: "w", ctrl: true})).toBe("ctrl+w");
+   expect(keyDescriptor({name: "return", meta: true})).toBe("meta+enter");
+   expect(keyDescriptor({name: "a", shift: true})).toBe("A");
+   expect(keyDescriptor({name: "tab", shift: true})).toBe("shift+tab");
+   expect(keyDescriptor({sequence: "$"})).toBe("$");
+   expect(keyDescriptor({sequence: "\x1f"})).toBe("ctrl+_");
+   expect(keyDescriptor({sequence: "\x1b_", meta: true})).toBe("meta+_");
+  });
+
+  it("should normalize the keys of a keymap", () => {
+   expect(normalizeKeymap({"Alt+b": "backward-word", "ctrl+shift+a": null, "shift+x": "delete-char", "Return": "submit"}))
+    .toEqual({"meta+b": "backward-word", "ctrl+A": null, "X": "delete-char", "enter": "submit"});
+  });
+
+  it("should normalize each key of a chord", () => {
+   expect(normalizeKeymap({"Ctrl+x  Alt+u": "undo", "ctrl+x ctrl+e": null}))
+    .toEqual({"ctrl+x meta+u": "undo", "ctrl+x ctrl+e": null});
+  });
+ });
+
+ describe("emacs mode", () => {
+  it("should edit with the default bindings", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {message: ">"});
+
+   events.type("git commit --amend");
+   events.keypress({name: "w", ctrl: true});
+   expect(getScreen()).toBe("? > git commit --");
+
+   events.keypress({name: "b", meta: true});
+   events.keypress({name: "k", ctrl: true});
+   expect(getScreen()).toBe("? > git");
+
+   events.keypress({name: "a", ctrl: true});
+   events.type("sudo ");
+   events.keypress({name: "e", ctrl: true});
+   events.type("log");
+   events.keypress("enter");
+   expect(await answer).toBe("sudo git log");
+  });
+
+  it("should apply keybindings over the default ones", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    keybindings: {"ctrl+w": "backward-kill-line", "alt+m": null, "ctrl+o": "insert-newline"},
+   });
+
+   events.type("echo one two");
+   events.keypress({name: "w", ctrl: true});
+   expect(getScreen()).toBe("? >");
+
+   events.keypress({name: "m", meta: true});
+   expect(getScreen()).not.toContain("Multi-line mode enabled");
+
+   events.type("a");
+   events.keypress({name: "o", ctrl: true});
+   events.type("b");
+   expect(getScreen()).toBe("? > a\nb");
+
+   events.keypress("enter");
+   expect(await answer).toBe("a\nb");
+  });
+
+  it("should bind chords of keys", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    keybindings: {"ctrl+x ctrl+k": "backward-kill-line"},
+   });
+
+   events.type("echo one");
+   events.keypress({name: "x", ctrl: true});
+   events.keypress({name: "k", ctrl: true});
+   expect(getScreen()).toBe("? >");
+
+   // A chord without a binding ignores its keys
+   events.type("two");
+   events.keypress({name: "x", ctrl: true});
+   events.keypress("a");
+   events.type("!");
+   expect(getScreen()).toBe("? > two!");
+
+   events.keypress("enter");
+   expect(await answer).toBe("two!");
+  });
+ });
+
+ describe("vi mode", () => {
+  it("should switch between insert and normal mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {message: ">", editMode: "vi"});
+
+   events.type("echo hello");
+   expect(getScreen()).toBe("? [I] > echo hello");
+
+   events.keypress("escape");
+   expect(getScreen()).toBe("? [N] > echo hello");
+   expect(getScreen({raw: true})).toMatch(/\x1b\[18G$/);
+
+   // Letters are commands in normal mode
+   events.keypress("x");
+   events.keypress("z");
+   expect(getScreen()).toBe("? [N] > echo hell");
+
+   events.keypress("0");
+   events.keypress("w");
+   events.keypress("D");
+   expect(getScreen()).toBe("? [N] > echo");
+
+   events.keypress({name: "a", shift: true});
+   events.type(" world");
+   expect(getScreen()).toBe("? [I] > echo world");
+
+   events.keypress("enter");
+   expect(await answer).toBe("echo world");
+  });
+
+  it("should keep the cursor on the last character in normal mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {message: ">", editMode: "vi"});
+
+   events.type("abc");
+   events.keypress("escape");
+   events.keypress("0");
+   events.keypress("$");
+   events.keypress("x");
+   expect(getScreen()).toBe("? [N] > ab");
+
+   events.keypress("l");
+   events.keypress("l");
+   events.keypress("x");
+   expect(getScreen()).toBe("? [N] > a");
+
+   events.keypress("enter");
+   expect(await answer).toBe("a");
+  });
+
+  it("should keep the cursor on the last character after replacing the line in normal mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    editMode: "vi",
+    historyHandler: new EphemeralHistory(["git status"]),
+    completer: () => ["status"],
+   });
+
+   events.keypress("escape");
+   events.keypress("k");
+   expect(getScreen({raw: true})).toMatch(/\x1b\[18G$/);
+   events.keypress("x");
+   expect(getScreen()).toBe("? [N] > git statu");
+
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? [N] > git status");
+   events.keypress("x");
+   expect(getScreen()).toBe("? [N] > git statu");
+
+   events.keypress("enter");
+   expect(await answer).toBe("git statu");
+  });
+
+  it("should apply vi keybindings in normal mode", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    editMode: "vi",
+    viKeybindings: {"H": "beginning-of-line", "x": null},
+   });
+
+   events.type("ls");
+   events.keypress("escape");
+   events.keypress("x");
+   events.keypress({name: "h", shift: true});
+   events.keypress("i");
+   events.type("sudo ");
+   expect(getScreen()).toBe("? [I] > sudo ls");
+
+   events.keypress("enter");
+   expect(await answer).toBe("sudo ls");
+  });
+ });
+});
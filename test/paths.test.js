@@ -0,0 +1,103 @@
+import {afterAll, afterEach, beforeAll, describe, expect, it} from "vitest";
+import {tmpdir} from "node:os";
+import {resolve as pathResolve} from "node:path";
+import {render} from "@inquirer/testing";
+import fsExtra from "fs-extra";
+import commandPrompt, {getCompletionContext, pathCompleter} from "../index.ts";
+
+describe("Path Completion", () => {
+ const folder = pathResolve(tmpdir(), `command-prompt-paths-${process.pid}`);
+ const home = process.env.HOME;
+
+ beforeAll(async () => {
+  await fsExtra.remove(folder);
+  await fsExtra.outputFile(pathResolve(folder, "src/index.ts"), "");
+  await fsExtra.outputFile(pathResolve(folder, "src/index.test.js"), "");
+  await fsExtra.outputFile(pathResolve(folder, "README.md"), "");
+  await fsExtra.outputFile(pathResolve(folder, ".env"), "");
+  await fsExtra.outputFile(pathResolve(folder, "my dir/file.txt"), "");
+ });
+
+ afterEach(() => {
+  process.env.HOME = home;
+ });
+
+ afterAll(async () => {
+  await fsExtra.remove(folder);
+ });
+
+ const complete = (completer, line) => completer(getCompletionContext(line));
+ const values = async (completer, line) => (await complete(completer, line)).map(({value}) => value);
+
+ describe("getCompletionContext", () => {
+  it("should keep quoted and escaped whitespace in the word", () => {
+   expect(getCompletionContext("cat \"my dir/f")).toMatchObject({wordStart: 4, word: "\"my dir/f"});
+   expect(getCompletionContext("cat my\\ dir/f")).toMatchObject({wordStart: 4, word: "my\\ dir/f"});
+   expect(getCompletionContext("cat 'a b' c", 6)).toMatchObject({wordStart: 4, wordEnd: 9});
+  });
+ });
+
+ describe("pathCompleter", () => {
+  it("should complete entries of the directory being typed, with a slash after directories", async () => {
+   const completer = pathCompleter({cwd: folder});
+
+   expect(await values(completer, "cat R")).toEqual(["README.md"]);
+   expect(await values(completer, "cd s")).toEqual(["src/"]);
+   expect(await complete(completer, "cat src/in")).toEqual([
+    {value: "src/index.test.js", display: "index.test.js", type: "file"},
+    {value: "src/index.ts", display: "index.ts", type: "file"},
+   ]);
+   expect(await values(completer, "cat missing/")).toEqual([]);
+  });
+
+  it("should filter directories, hidden files and extensions", async () => {
+   expect(await values(pathCompleter({cwd: folder}), "cat ")).not.toContain(".env");
+   expect(await values(pathCompleter({cwd: folder}), "cat .")).toEqual([".env"]);
+   expect(await values(pathCompleter({cwd: folder, showHidden: true}), "cat ")).toContain(".env");
+   expect(await values(pathCompleter({cwd: folder, onlyDirectories: true}), "cd ")).toEqual(["my\\ dir/", "src/"]);
+   expect(await values(pathCompleter({cwd: folder, extensions: ["ts"]}), "cat src/")).toEqual(["src/index.ts"]);
+  });
+
+  it("should complete quoted paths and escaped spaces in the same style", async () => {
+   const completer = pathCompleter({cwd: folder});
+
+   expect(await values(completer, "cd \"my")).toEqual(["\"my dir/"]);
+   expect(await values(completer, "cat \"my dir/f")).toEqual(["\"my dir/file.txt\""]);
+   expect(await values(completer, "cat 'my dir/f")).toEqual(["'my dir/file.txt'"]);
+   expect(await values(completer, "cat my\\ dir/f")).toEqual(["my\\ dir/file.txt"]);
+  });
+
+  it("should resolve paths starting with ~ from the home directory", async () => {
+   process.env.HOME = folder;
+   const completer = pathCompleter();
+
+   expect(await values(completer, "cd ~")).toEqual(["~/"]);
+   expect(await values(completer, "cat ~/src/index.t")).toEqual(["~/src/index.test.js", "~/src/index.ts"]);
+  });
+
+  it("should list the names of the entries in the prompt", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    completer: pathCompleter({cwd: folder}),
+   });
+
+   events.type("cat sr");
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toBe("? > cat src/");
+
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   events.keypress("tab");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   const screen = getScreen();
+   expect(screen).toContain("? > cat src/index.t");
+   expect(screen).toContain("index.ts");
+   expect(screen).not.toContain("src/index.ts");
+
+   events.type("s");
+   events.keypress("enter");
+   expect(await answer).toBe("cat src/index.ts");
+  });
+ });
+});
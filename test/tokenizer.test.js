@@ -0,0 +1,172 @@
+import {describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {isInputComplete, parseCommand, tokenAt, tokenize} from "../index.ts";
+import {short} from "../helpers.ts";
+
+describe("Tokenizer", () => {
+ describe("tokenize", () => {
+  it("should split words on whitespace and keep their offsets", () => {
+   expect(tokenize("  git  commit ")).toEqual([
+    {value: "git", start: 2, end: 5},
+    {value: "commit", start: 7, end: 13},
+   ]);
+  });
+
+  it("should handle quotes and backslash escapes", () => {
+   const values = (line) => tokenize(line).map(({value}) => value);
+
+   expect(values("cat \"my file.txt\"")).toEqual(["cat", "my file.txt"]);
+   expect(values("echo a\\ b")).toEqual(["echo", "a b"]);
+   expect(values("echo 'a \\\" b'")).toEqual(["echo", "a \\\" b"]);
+   expect(values("echo \"a \\\" \\n b\"")).toEqual(["echo", "a \" \\n b"]);
+   expect(values("echo pre\"fix\"'ed'")).toEqual(["echo", "prefixed"]);
+   expect(values("echo \"\" ''")).toEqual(["echo", "", ""]);
+   expect(values("echo a\\\nb")).toEqual(["echo", "ab"]);
+  });
+
+  it("should report an unterminated quote", () => {
+   expect(tokenize("echo \"a b")).toEqual([
+    {value: "echo", start: 0, end: 4},
+    {value: "a b", start: 5, end: 9, openQuote: "\""},
+   ]);
+  });
+ });
+
+ describe("tokenAt", () => {
+  it("should find the word at a position, or a new empty word in whitespace", () => {
+   const tokens = tokenize("git  commit ");
+
+   expect(tokenAt(tokens, 2)).toEqual({index: 0, token: tokens[0]});
+   expect(tokenAt(tokens, 3)).toEqual({index: 0, token: tokens[0]});
+   expect(tokenAt(tokens, 4)).toEqual({index: 1, token: {value: "", start: 4, end: 4}});
+   expect(tokenAt(tokens, 12)).toEqual({index: 2, token: {value: "", start: 12, end: 12}});
+  });
+ });
+
+ describe("short", () => {
+  it("should remove the words before the one being typed", () => {
+   expect(short("git co", ["git commit", "git config"])).toEqual(["commit", "config"]);
+   expect(short("git", ["git", "git commit"])).toEqual(["commit"]);
+   expect(short("cat \"my dir/a", ["cat \"my dir/a.txt\"", "cat \"my dir/b.txt\""])).toEqual([
+    "\"my dir/a.txt\"",
+    "\"my dir/b.txt\"",
+   ]);
+  });
+ });
+ describe("parseCommand", () => {
+  it("should split the command from its arguments", () => {
+   expect(parseCommand("git commit -m \"first commit\"")).toEqual({
+    raw: "git commit -m \"first commit\"",
+    argv: ["git", "commit", "-m", "first commit"],
+    command: "git",
+    args: ["commit", "-m", "first commit"],
+   });
+   expect(parseCommand("  ")).toEqual({raw: "  ", argv: [], command: "", args: []});
+  });
+
+  it("should throw on unterminated quotes", () => {
+   expect(() => parseCommand("echo \"a b")).toThrow("Unterminated double quote");
+   expect(() => parseCommand("echo 'a b")).toThrow("Unterminated single quote");
+  });
+ });
+
+ describe("isInputComplete", () => {
+  it("should detect open quotes, unclosed brackets and trailing backslashes", () => {
+   expect(isInputComplete("echo hello")).toBe(true);
+   expect(isInputComplete("echo \"hello")).toBe(false);
+   expect(isInputComplete("echo 'it''s'")).toBe(true);
+   expect(isInputComplete("{\"a\": [1,")).toBe(false);
+   expect(isInputComplete("{\"a\": [1, \"]\"]}")).toBe(true);
+   expect(isInputComplete("echo '{'")).toBe(true);
+   expect(isInputComplete("ls \\")).toBe(false);
+   expect(isInputComplete("ls \\\nfolder")).toBe(true);
+  });
+ });
+
+ describe("Prompt integration", () => {
+  it("should resolve to the parsed command when parse is true", async () => {
+   const {answer, events} = await render(commandPrompt, {
+    message: ">",
+    parse: true,
+   });
+
+   events.type("cp \"my file.txt\" backup\\ dir");
+   events.keypress("enter");
+   expect(await answer).toEqual({
+    raw: "cp \"my file.txt\" backup\\ dir",
+    argv: ["cp", "my file.txt", "backup dir"],
+    command: "cp",
+    args: ["my file.txt", "backup dir"],
+   });
+  });
+
+  it("should report unterminated quotes as a validation error", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    parse: true,
+   });
+
+   events.type("echo \"hello");
+   events.keypress("enter");
+   await new Promise((resolve) => setTimeout(resolve, 10));
+   expect(getScreen()).toContain("Unterminated double quote");
+
+   events.type("\"");
+   events.keypress("enter");
+   expect(await answer).toMatchObject({command: "echo", args: ["hello"]});
+  });
+
+  it("should continue onto a new line until the input is complete", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    continuation: true,
+   });
+
+   events.type("post {");
+   events.keypress("enter");
+   events.type("\"tags\": [\"a\",");
+   events.keypress("enter");
+   expect(getScreen()).toBe("? > post {\n... \"tags\": [\"a\",\n...");
+   expect(getScreen({raw: true})).toMatch(/\x1b\[5G$/);
+
+   events.type("\"b\"]}");
+   events.keypress("enter");
+   expect(await answer).toBe("post {\n\"tags\": [\"a\",\n\"b\"]}");
+  });
+
+  it("should join a continuation line back with Backspace at its start", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: ">",
+    continuation: true,
+   });
+
+   events.type("echo \\");
+   events.keypress("enter");
+   events.type("a");
+   events.keypress("backspace");
+   events.keypress("backspace");
+   expect(getScreen()).toBe("? > echo \\");
+
+   events.keypress("backspace");
+   events.type(" done");
+   events.keypress("enter");
+   expect(await answer).toBe("echo  done");
+  });
+
+  it("should let isComplete decide when to submit", async () => {
+   const {answer, events, getScreen} = await render(commandPrompt, {
+    message: "sql>",
+    isComplete: (text) => text.trim().endsWith(";"),
+    continuationPrompt: "->",
+   });
+
+   events.type("select *");
+   events.keypress("enter");
+   events.type("from users;");
+   expect(getScreen()).toBe("? sql> select *\n-> from users;");
+
+   events.keypress("enter");
+   expect(await answer).toBe("select *\nfrom users;");
+  });
+ });
+});
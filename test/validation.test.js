@@ -0,0 +1,121 @@
+import {afterEach, describe, expect, it} from "vitest";
+import {render} from "@inquirer/testing";
+import commandPrompt, {issueStyles} from "../index.ts";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("Validation", () => {
+ const {error, warning} = issueStyles;
+
+ afterEach(() => {
+  Object.assign(issueStyles, {error, warning});
+ });
+
+ it("should show the error under the line while typing", async () => {
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   validate: (value) => value.length >= 3 || "Too short",
+   validateOnType: true,
+   validateOnTypeDelay: 0,
+  });
+
+  events.type("ab");
+  await wait(10);
+  expect(getScreen()).toBe("? > ab\n> Too short");
+
+  events.type("c");
+  await wait(10);
+  expect(getScreen()).toBe("? > abc");
+
+  events.keypress("enter");
+  expect(await answer).toBe("abc");
+ });
+
+ it("should ignore results for older input", async () => {
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   validate: async (value) => {
+    await wait(value === "a" ? 30 : 0);
+    return value === "a" ? "Stale" : true;
+   },
+   validateOnType: true,
+   validateOnTypeDelay: 0,
+  });
+
+  events.type("a");
+  await wait(5);
+  events.type("b");
+  await wait(40);
+  expect(getScreen()).toBe("? > ab");
+
+  events.keypress("enter");
+  expect(await answer).toBe("ab");
+ });
+
+ it("should underline the offending range of the input", async () => {
+  issueStyles.error = (text) => `\x1b[4m${text}\x1b[24m`;
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   validate: (value) => {
+    const start = value.indexOf("rm");
+    return start < 0 || {message: "rm is not allowed", start, end: start + 2};
+   },
+  });
+
+  events.type("sudo rm x");
+  events.keypress("enter");
+  await wait(10);
+  expect(getScreen()).toBe("? > sudo rm x\n> rm is not allowed");
+  expect(getScreen({raw: true})).toContain("sudo \x1b[4mrm\x1b[24m x\n");
+
+  events.keypress("backspace");
+  events.type("y");
+  await wait(10);
+  expect(getScreen({raw: true})).not.toContain("\x1b[4m");
+  expect(getScreen()).toBe("? > sudo rm y");
+
+  for (const _ of "sudo rm y") {
+   events.keypress("backspace");
+  }
+  events.type("ls");
+  events.keypress("enter");
+  expect(await answer).toBe("ls");
+ });
+
+ it("should submit input with warnings", async () => {
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   validate: (value) => !value.includes("--force") || {message: "Forcing is risky", severity: "warning"},
+   validateOnType: true,
+   validateOnTypeDelay: 0,
+  });
+
+  events.type("push --force");
+  await wait(10);
+  expect(getScreen()).toBe("? > push --force\nForcing is risky");
+
+  events.keypress("enter");
+  expect(await answer).toBe("push --force");
+ });
+
+ it("should color the range of a warning over the answer style", async () => {
+  issueStyles.warning = (text) => `\x1b[33m${text}\x1b[39m`;
+  const {answer, events, getScreen} = await render(commandPrompt, {
+   message: ">",
+   validate: (value) => {
+    const start = value.indexOf("--force");
+    return start < 0 || {message: "Forcing is risky", severity: "warning", start, end: start + 7};
+   },
+   validateOnType: true,
+   validateOnTypeDelay: 0,
+   theme: {style: {answer: (text) => `\x1b[36m${text}\x1b[39m`}},
+  });
+
+  events.type("push --force");
+  await wait(10);
+  expect(getScreen({raw: true})).toContain("\x1b[36mpush \x1b[39m\x1b[36m\x1b[33m--force\x1b[39m\x1b[39m");
+
+  events.keypress("enter");
+  expect(await answer).toBe("push --force");
+ });
+});
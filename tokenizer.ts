@@ -0,0 +1,150 @@
+/**
+ * A word of a command line
+ */
+export interface Token {
+  /** Text of the word with quotes and backslash escapes removed */
+  value: string;
+  /** Offset of the first character of the word in the line */
+  start: number;
+  /** Offset after the last character of the word in the line */
+  end: number;
+  /** Quote left open at the end of the line, when the word is unterminated */
+  openQuote?: "\"" | "'";
+}
+
+/**
+ * Split a command line into words the way a POSIX shell does.
+ * Words are separated by unquoted whitespace. Single quotes keep everything literally, double quotes keep
+ * whitespace and allow escaping `"`, `\`, `$` and `` ` `` with a backslash, and outside quotes a backslash
+ * escapes any character. A backslash before a newline joins the lines, and an empty pair of quotes is an empty word.
+ * @param line - The command line
+ * @returns The words of the line with their position
+ */
+export function tokenize(line: string): Token[] {
+  const tokens: Token[] = [];
+  let token: Token | undefined;
+  let quote: "\"" | "'" | undefined;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (!quote && /\s/.test(char)) {
+      if (token) {
+        tokens.push(token);
+      }
+      token = undefined;
+      continue;
+    }
+    token ??= {value: "", start: i, end: i};
+    if (quote === "'") {
+      if (char === "'") {
+        quote = undefined;
+      } else {
+        token.value += char;
+      }
+    } else if (char === "\\" && i + 1 < line.length) {
+      const next = line[++i];
+      if (next !== "\n") {
+        // Inside double quotes, a backslash only escapes characters that are special there
+        token.value += quote && !"\"\\$`".includes(next) ? char + next : next;
+      }
+    } else if (char === quote) {
+      quote = undefined;
+    } else if (!quote && (char === "\"" || char === "'")) {
+      quote = char;
+    } else {
+      token.value += char;
+    }
+    token.end = i + 1;
+  }
+  if (token) {
+    if (quote) {
+      token.openQuote = quote;
+    }
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+/**
+ * Find the word at a position of a line. A position in whitespace, such as after a trailing space, is the start
+ * of a new empty word.
+ * @param tokens - The words of the line
+ * @param cursor - Position in the line
+ * @returns Index of the word, with the token itself or an empty token at the position
+ */
+export function tokenAt(tokens: Token[], cursor: number): {index: number; token: Token} {
+  for (const [index, token] of tokens.entries()) {
+    if (cursor < token.start) {
+      return {index, token: {value: "", start: cursor, end: cursor}};
+    }
+    if (cursor <= token.end) {
+      return {index, token};
+    }
+  }
+  return {index: tokens.length, token: {value: "", start: cursor, end: cursor}};
+}
+
+/**
+ * A command line split into the command and its arguments
+ */
+export interface ParsedCommand {
+  /** The line as typed */
+  raw: string;
+  /** All the words of the line, with quotes and escapes removed */
+  argv: string[];
+  /** The first word, empty if the line is blank */
+  command: string;
+  /** The words after the command */
+  args: string[];
+}
+
+/**
+ * Parse a command line into the command and its arguments
+ * @param raw - The command line
+ * @returns The parsed command
+ * @throws Error if a quote is left open
+ */
+export function parseCommand(raw: string): ParsedCommand {
+  const tokens = tokenize(raw);
+  const openQuote = tokens.at(-1)?.openQuote;
+  if (openQuote) {
+    throw new Error(`Unterminated ${openQuote === "'" ? "single" : "double"} quote`);
+  }
+  const argv = tokens.map(({value}) => value);
+  return {raw, argv, command: argv[0] ?? "", args: argv.slice(1)};
+}
+
+/**
+ * Brackets that must be closed for the input to be complete, with their closing bracket
+ */
+const BRACKETS: Record<string, string> = {"(": ")", "[": "]", "{": "}"};
+
+/**
+ * Check whether input is complete: no quote is left open, every `(`, `[` and `{` outside quotes is closed and the
+ * input does not end with a backslash
+ * @param text - The input, lines separated by newlines
+ * @returns Whether the input can be submitted
+ */
+export function isInputComplete(text: string): boolean {
+  const expected: string[] = [];
+  let quote = "";
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote === "'") {
+      quote = char === "'" ? "" : quote;
+    } else if (char === "\\") {
+      if (i + 1 === text.length) {
+        return false;
+      }
+      i++;
+    } else if (quote) {
+      quote = char === quote ? "" : quote;
+    } else if (char === "\"" || char === "'") {
+      quote = char;
+    } else if (BRACKETS[char]) {
+      expected.push(BRACKETS[char]);
+    } else if (char === expected.at(-1)) {
+      expected.pop();
+    }
+  }
+  return !quote && expected.length === 0;
+}